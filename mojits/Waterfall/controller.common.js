@@ -12,7 +12,16 @@ YUI.add('mojito-waterfall-controller', function (Y, NAME) {
     Y.mojito.controllers[NAME] = {
 
         index: function (ac) {
-            var data = ac.params.body('waterfall');
+            var data = ac.params.body('waterfall'),
+                trace = ac.params.body('trace'),
+                har = ac.params.body('har');
+
+            // traces (Trace Event Format) and HARs are converted to waterfalls
+            if (!data && trace) {
+                data = Y.mojito.Waterfall.Trace.toWaterfall(trace);
+            } else if (!data && har) {
+                data = Y.mojito.Waterfall.HAR.toWaterfall(har);
+            }
 
             ac.data.set('waterfall', data);
 
@@ -30,6 +39,8 @@ YUI.add('mojito-waterfall-controller', function (Y, NAME) {
     requires: [
         'mojito-data-addon',
         'mojito-params-addon',
-        'mojito-assets-addon'
+        'mojito-assets-addon',
+        'mojito-waterfall-trace',
+        'mojito-waterfall-har'
     ]
 });
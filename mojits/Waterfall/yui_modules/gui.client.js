@@ -16,15 +16,48 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
             waterfallData = data,
             waterfallDomObject,
 
-            WaterfallSummary = function (summaries, events, waterfallTbody) {
+            WaterfallSummary = function (summaries, events, waterfallTbody, counters) {
 
                 var startTimeDescription = "Start time since the beginning",
                     phasesDescription = "Phases start and elapsed time relative to the start:",
                     eventsDescription = "Event timing relative to the start:",
+                    countersDescription = "Counter values at ",
                     tableContainer = Y.Node.create("<div style='position:absolute'/>"),
                     table = Y.Node.create("<table cellspacing='3px' class='waterfall-summary'></table>"),
+                    counterTbody = Y.Node.create("<tbody class='counter-values'/>"),
                     currentSummary,
-                    self = this;
+                    self = this,
+                    // the last value of the counter at or before the given time
+                    getCounterValue = function (counter, time) {
+                        var value;
+                        Y.Array.some(counter.values, function (counterValue) {
+                            if (counterValue.time > time) {
+                                return true;
+                            }
+                            value = counterValue.value;
+                        });
+                        return value;
+                    },
+                    showCounters = function (time) {
+                        var msTimeToString = Y.mojito.Waterfall.Time.msTimeToString;
+
+                        counterTbody.set("innerHTML", "");
+                        if (!counters || counters.length === 0 || time === undefined) {
+                            return;
+                        }
+
+                        counterTbody.append("<tr><td colspan='4' class='vertical-space'></td></tr>");
+                        counterTbody.append("<tr class='breakdown-description'><td colspan='4' class='description'>" +
+                            countersDescription + msTimeToString(time, 3) + ":</td></tr>");
+                        Y.Array.each(counters, function (counter) {
+                            var value = getCounterValue(counter, time),
+                                tr = Y.Node.create("<tr class='breakdown'></tr>");
+                            tr.append(Y.Node.create("<td class='type-color gradient'/>").setStyle("backgroundColor", counter.color));
+                            tr.append(Y.Node.create("<td class='time' colspan='2'/>").set("text", value === undefined ? "-" : String(value)));
+                            tr.append(Y.Node.create("<td class='type'/>").set("text", unescape(counter.name)));
+                            counterTbody.append(tr);
+                        });
+                    };
 
                 this.get = function () {
                     return tableContainer;
@@ -48,7 +81,15 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     ]);
                 };
 
-                this.showSummary = function (num, mouseX, mouseY) {
+                /**
+                 * @param {Number} num The index of the row.
+                 * @param {Number} mouseX
+                 * @param {Number} mouseY
+                 * @param {Number} time Optional time of the mouse relative to the start, to show the counter values at.
+                 */
+                this.showSummary = function (num, mouseX, mouseY, time) {
+
+                    showCounters(time);
 
                     if (num === currentSummary) {
                         tableContainer.show();
@@ -60,6 +101,7 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
 
                     var tr,
                         td,
+                        rowEvents,
                         msTimeToString = Y.mojito.Waterfall.Time.msTimeToString;
 
                     // vertical space
@@ -89,7 +131,9 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                         table.append(tr);
                     });
 
-                    if (events && events.length > 0) {
+                    // the events of the whole waterfall and the ones attached to this row
+                    rowEvents = (events || []).concat(summaries[num].events);
+                    if (rowEvents.length > 0) {
                         // vertical space
                         table.append("<tr><td colspan='4' class='vertical-space'></td></tr>");
 
@@ -97,12 +141,18 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                         table.append("<tr class='breakdown-description'><td colspan='4' class='description'>" + eventsDescription + "</td></tr>");
 
                         // events
-                        Y.each(events, function (event) {
+                        Y.each(rowEvents, function (event) {
                             var relativeTime = event.time - summaries[num].startTime;
                             tr = Y.Node.create("<tr class='breakdown'></tr>");
-                            tr.append("<td><div class='event-color' style='border-left: 2px solid " + event.color + "'/></td>");
+                            tr.append(Y.Node.create("<td/>").append(Y.Node.create("<div class='event-color'/>").setStyle("borderLeft", "2px solid " + event.color)));
                             tr.append("<td class='time'>" + (relativeTime > 0 ? "+" : "") + msTimeToString(relativeTime, 3) + "</td>");
-                            tr.append("<td class='type' colspan='2'>" + event.type + "</td>");
+                            if (event.endTime !== undefined) {
+                                // range events
+                                tr.append("<td class='duration'>+" + msTimeToString(event.endTime - event.time, 3) + "</td>");
+                                tr.append(Y.Node.create("<td class='type'/>").set("text", event.type));
+                            } else {
+                                tr.append(Y.Node.create("<td class='type' colspan='2'/>").set("text", event.type));
+                            }
                             table.append(tr);
                         });
                     }
@@ -110,6 +160,7 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     // vertical space
                     table.append("<tr><td colspan='4' class='vertical-space'></td></tr>");
 
+                    table.append(counterTbody);
                     tableContainer.append(table);
                     tableContainer.show();
                     self.move(mouseX, mouseY);
@@ -171,7 +222,39 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                 };
             },
 
-            WaterfallStats = function (stats) {
+            WaterfallWarnings = function (errors, units) {
+                var fieldset,
+                    table,
+                    tr,
+                    msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+                    timeToMs = Y.mojito.Waterfall.Time.timeToMs;
+
+                this.get = function () {
+                    return fieldset;
+                };
+
+                if (!errors || errors.length === 0) {
+                    return;
+                }
+
+                fieldset = Y.Node.create("<fieldset/>").addClass('waterfall').addClass('warnings');
+                fieldset.append(Y.Node.create("<legend>Warnings (" + errors.length + ")</legend>"));
+                table = Y.Node.create("<table cellpadding='0' cellspacing='0'/>");
+                Y.Array.each(errors, function (error) {
+                    var time = units && typeof error.time === "number" ? timeToMs(error.time + units) : timeToMs(error.time);
+                    tr = Y.Node.create("<tr/>");
+                    tr.append(Y.Node.create("<td class='time'/>").set("text", error.time !== undefined ? msTimeToString(time, 3) : ""));
+                    tr.append(Y.Node.create("<td class='key'/>").set("text", error.key));
+                    tr.append(Y.Node.create("<td class='message'/>").set("text", error.message));
+                    if (error.stack) {
+                        tr.set("title", error.stack);
+                    }
+                    table.append(tr);
+                });
+                fieldset.append(table);
+            },
+
+            WaterfallStats = function (stats, violations) {
                 var fieldset,
                     legend,
                     table,
@@ -181,10 +264,25 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     tr,
                     td,
                     rows = [],
+                    headers = [],
+                    statRows = [],
                     waterfallStats,
+                    rankBySelfTime,
                     popup,
                     popupSummary,
-                    popupData;
+                    popupData,
+                    rankStats = function (bySelfTime) {
+                        var statsTbody = table.one("tbody"),
+                            ranked = statRows.slice();
+                        if (bySelfTime) {
+                            ranked.sort(function (a, b) {
+                                return b.selfTime - a.selfTime;
+                            });
+                        }
+                        Y.Array.each(ranked, function (statRow) {
+                            statsTbody.append(statRow.tr);
+                        });
+                    };
 
                 this.get = function () {
                     if (table) {
@@ -196,6 +294,13 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                             table.toggleView();
                         });
                         fieldset.append(legend);
+                        if (headers.indexOf("Self Time") !== -1) {
+                            rankBySelfTime = Y.Node.create("<label class='rank-self-time'><input type='checkbox'/> Rank by self time</label>");
+                            rankBySelfTime.one("input").on("click", function (e) {
+                                rankStats(e.target.get("checked"));
+                            });
+                            fieldset.append(rankBySelfTime);
+                        }
                         fieldset.append(table);
                         waterfallStats.append(fieldset);
                     }
@@ -217,7 +322,13 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                 // create header
                 thead = Y.Node.create("<thead/>");
                 tr = Y.Node.create("<tr/>");
-                Y.Array.each(Object.keys(stats[Object.keys(stats)[0]]), function (header) {
+                Y.Object.some(stats, function (stat) {
+                    if (Y.Lang.isObject(stat)) {
+                        headers = Object.keys(stat);
+                        return true;
+                    }
+                });
+                Y.Array.each(headers, function (header) {
                     if (header === "summary") {
                         return;
                     }
@@ -229,11 +340,22 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
 
                 // create body
                 tbody = Y.Node.create("<tbody/>");
-                Y.Object.each(stats, function (stat) {
+                Y.Object.each(stats, function (stat, statName) {
+                    var statViolations = [];
                     if (!Y.Lang.isObject(stat)) {
                         return;
                     }
                     tr = Y.Node.create("<tr/>");
+                    // stats over their budget, including duplicate rows that were given a unique name
+                    Y.Array.each(violations, function (violation) {
+                        if (violation.stat !== undefined && (violation.stat === statName || violation.stat === statName.replace(/ \(\d+\)$/, ''))) {
+                            statViolations.push(violation.message);
+                        }
+                    });
+                    if (statViolations.length > 0) {
+                        tr.addClass("budget-violation");
+                        tr.set("title", statViolations.join("\n"));
+                    }
                     Y.Object.each(stat, function (statValue, header) {
                         if (header === "summary") {
                             return;
@@ -244,6 +366,10 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     tbody.append(tr);
 
                     rows.push(stat);
+                    statRows.push({
+                        tr: tr,
+                        selfTime: stat["Self Time"] !== undefined ? Y.mojito.Waterfall.Time.timeToMs(stat["Self Time"]) : 0
+                    });
                 });
                 table.append(tbody);
 
@@ -284,9 +410,12 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
 
                 var COLORS = ["#3C953C", "#4465A7", "#993399", "#D63333", "#FF6600", "#CCCC00", "#A1A1A1"],
                     EVENT_COLORS = ["#3355ff", "#ff3355", "#11cc22"],
+                    COUNTER_COLORS = ["#4465A7", "#FF6600", "#3C953C", "#993399"],
+                    COUNTER_HEIGHT = 24,
                     table = Y.Node.create("<table cellpadding='0' cellspacing='0'/>"),
                     thead = Y.Node.create("<thead/>"),
                     tbody = Y.Node.create("<tbody/>"),
+                    counterTbody = Y.Node.create("<tbody class='counters'/>"),
                     tfoot = Y.Node.create("<tfoot/>"),
                     tr,
                     td,
@@ -297,11 +426,20 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     waterfallSummary,
                     waterfallRuler,
                     waterfallStats,
+                    waterfallWarnings,
+                    criticalPathToggle,
+                    hasCriticalPath = false,
                     sortHeaders = [],
                     tableData = [],
                     msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
                     timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+                    eventCategories = data.eventCategories || {},
+                    eventCategoriesLegend,
+                    getEventColor,
+                    createEvent,
                     createRow,
+                    createCounterRow,
+                    normalizeEvents,
                     normalizeTimes,
                     getAbsoluteTimes,
                     sortData;
@@ -321,10 +459,25 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     waterfall.addClass('waterfall');
 
                     // convert all times to ms
+                    normalizeEvents = function (events) {
+                        Y.each(events, function (event) {
+                            event.time = data.units && typeof event.time === "number" ? event.time + data.units : event.time;
+                            event.time = timeToMs(event.time);
+                            if (event.endTime !== undefined) {
+                                event.endTime = data.units && typeof event.endTime === "number" ? event.endTime + data.units : event.endTime;
+                                event.endTime = timeToMs(event.endTime);
+                            }
+                        });
+                    };
                     normalizeTimes = function (rows) {
                         Y.each(rows, function (row) {
                             row.startTime = data.units && typeof row.startTime === "number" ? row.startTime + data.units : row.startTime;
                             row.startTime = timeToMs(row.startTime);
+                            normalizeEvents(row.events);
+                            if (row.spread) {
+                                row.spread.low = timeToMs(data.units && typeof row.spread.low === "number" ? row.spread.low + data.units : row.spread.low);
+                                row.spread.high = timeToMs(data.units && typeof row.spread.high === "number" ? row.spread.high + data.units : row.spread.high);
+                            }
                             Y.each(row.durations, function (duration) {
                                 duration.duration = data.units && typeof duration.duration === "number" ? duration.duration + data.units : duration.duration;
                                 duration.duration = timeToMs(duration.duration);
@@ -335,9 +488,12 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                         });
                     };
                     normalizeTimes(data.rows);
-                    Y.each(data.events, function (event) {
-                        event.time = data.units && typeof event.time === "number" ? event.time + data.units : event.time;
-                        event.time = timeToMs(event.time);
+                    normalizeEvents(data.events);
+                    Y.each(data.counters, function (counter) {
+                        Y.each(counter.values, function (value) {
+                            value.time = data.units && typeof value.time === "number" ? value.time + data.units : value.time;
+                            value.time = timeToMs(value.time);
+                        });
                     });
 
                     // create header
@@ -445,9 +601,42 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                     getAbsoluteTimes(data.rows);
                     // take events into consideration
                     Y.each(data.events, function (event) {
-                        endTime = Math.max(event.time, endTime);
+                        endTime = Math.max(event.endTime !== undefined ? event.endTime : event.time, endTime);
                         startTime = Math.min(event.time, startTime);
                     });
+                    // and counter values
+                    Y.each(data.counters, function (counter) {
+                        Y.each(counter.values, function (value) {
+                            endTime = Math.max(value.time, endTime);
+                            startTime = Math.min(value.time, startTime);
+                        });
+                    });
+
+                    // events use the color of their category, if any
+                    getEventColor = function (event, eventIndex) {
+                        var category = eventCategories[event.category];
+                        return event.color || (category && category.color) || EVENT_COLORS[eventIndex % EVENT_COLORS.length];
+                    };
+
+                    // create an event line, or a shaded band for range events
+                    createEvent = function (event, color) {
+                        var category = eventCategories[event.category],
+                            width,
+                            node;
+                        if (event.endTime !== undefined) {
+                            // bands take no space such that they are positioned like event lines
+                            width = 100 * (event.endTime - event.time) / (endTime - startTime);
+                            node = Y.Node.create("<div class='event-band'/>");
+                            node.setStyle("backgroundColor", color);
+                            node.setStyle("width", width + "%");
+                            node.setStyle("marginRight", -width + "%");
+                        } else {
+                            node = Y.Node.create("<div class='event-line' style='border-right:1px solid " + color +  "'/>");
+                        }
+                        node.setStyle("left", (100 * (event.time - startTime) / (endTime - startTime)) + "%");
+                        node.set("title", (category && category.label ? category.label + ": " : "") + event.type);
+                        return node;
+                    };
 
                     // create body
                     createRow = function (row, depth, isLastChild) {
@@ -460,18 +649,36 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                             relativeTime = 0,
                             summary = {
                                 "startTime": row.startTime - startTime,
-                                "durations": []
+                                "durations": [],
+                                "events": []
                             },
                             tableDataRow = {
                                 columns: {},
                                 expanded: false
                             },
                             rowIndex = summaries.length,
+                            spread,
+                            spreadWidth,
                             baseOffset = 4,
                             paddingRight = 50,
                             offset = depth * 12;
 
-                        tr = Y.Node.create("<tr/>");
+                        tr = Y.Node.create("<tr/>").addClass(row.critical ? "critical" : "non-critical");
+                        hasCriticalPath = hasCriticalPath || !!row.critical;
+                        // profiles that were still open when a snapshot was taken
+                        if (row.inProgress) {
+                            tr.addClass("in-progress");
+                        }
+                        // rows affected by profiling errors
+                        if (row.warning) {
+                            tr.addClass("warning");
+                            tr.set("title", row.warning);
+                        }
+                        // rows over their budget
+                        if (row.violations) {
+                            tr.addClass("budget-violation");
+                            tr.set("title", row.violations.join("\n"));
+                        }
                         Y.each(data.headers, function (header, columnIndex) {
                             var toggleButton,
                                 td = Y.Node.create("<td class='no-select'/>");
@@ -548,14 +755,24 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                         td = Y.Node.create("<td class='no-select'/>").setStyle('paddingRight', paddingRight);
                         // create event lines
                         Y.each(data.events, function (event, eventIndex) {
-                            var color = (event.color || EVENT_COLORS[eventIndex % EVENT_COLORS.length]),
-                                line = Y.Node.create("<div class='event-line' style='border-right:1px solid " + color +  "'/>");
-                            line.setStyle("left", (100 * (event.time - startTime) / (endTime - startTime)) + "%");
+                            var color = getEventColor(event, eventIndex),
+                                line = createEvent(event, color);
                             // TODO: event lines seem to only be pushed to the right by 1 pixel when there are other lines
                             line.setStyle("marginLeft", eventIndex > 0 ? -1 : 0);
                             event.color = color;
                             td.append(line);
                         });
+                        // events attached to this row only appear on its timeline
+                        Y.each(row.events, function (event, eventIndex) {
+                            var color = getEventColor(event, numEvents + eventIndex);
+                            td.append(createEvent(event, color).addClass("row-event"));
+                            summary.events.push({
+                                time: event.time - startTime,
+                                endTime: event.endTime !== undefined ? event.endTime - startTime : undefined,
+                                type: event.type,
+                                color: color
+                            });
+                        });
 
                         // create time slice
                         Y.each(row.durations, function (duration) {
@@ -602,16 +819,30 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
 
                         td.append(timeSlice);
 
+                        // aggregate rows show the spread of their end time across runs
+                        if (row.spread && row.spread.high > row.spread.low) {
+                            spread = Y.Node.create("<div class='spread'/>");
+                            spreadWidth = 100 * (row.spread.high - row.spread.low) / (endTime - startTime);
+                            spread.setStyle("left", (100 * (row.spread.low - startTime) / (endTime - startTime)) + "%");
+                            spread.setStyle("width", spreadWidth + "%");
+                            spread.setStyle("marginRight", -spreadWidth + "%");
+                            spread.set("title", "End time spread: " + msTimeToString(row.spread.low - row.startTime, 3) + " to " +
+                                msTimeToString(row.spread.high - row.startTime, 3) + " after the start");
+                            td.prepend(spread);
+                        }
+
                         // set summary and ruler events
                         td.on("mousedown", function (event) {
                             waterfallRuler.start(event.pageX, event.pageY);
                             waterfallSummary.hide();
                         });
                         td.on("mousemove", function (event) {
+                            var timeLineWidthPx = td.get("offsetWidth") - paddingRight;
                             if (waterfallRuler.isEnabled()) {
-                                waterfallRuler.update(event.pageX, event.pageY, td.get("offsetWidth") - paddingRight, endTime - startTime);
+                                waterfallRuler.update(event.pageX, event.pageY, timeLineWidthPx, endTime - startTime);
                             } else {
-                                waterfallSummary.showSummary(rowIndex, event.pageX, event.pageY);
+                                waterfallSummary.showSummary(rowIndex, event.pageX, event.pageY,
+                                    (endTime - startTime) * (event.pageX - td.getX()) / timeLineWidthPx);
                             }
                         });
                         td.on("mouseout", function (event) {
@@ -661,8 +892,61 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                         tableData.push(createRow(row, 0));
                     });
 
+                    // create a track per counter, drawn as an area aligned with the timeline
+                    createCounterRow = function (counter, counterIndex) {
+                        var color = counter.color || COUNTER_COLORS[counterIndex % COUNTER_COLORS.length],
+                            min = 0,
+                            max = 0,
+                            points = [],
+                            lastY,
+                            toX = function (time) {
+                                return (1000 * (time - startTime) / (endTime - startTime)).toFixed(2);
+                            };
+
+                        Y.each(counter.values, function (value) {
+                            min = Math.min(min, value.value);
+                            max = Math.max(max, value.value);
+                        });
+
+                        // values hold until the next one, such that the track is drawn as steps
+                        Y.each(counter.values, function (value) {
+                            var y = (COUNTER_HEIGHT - COUNTER_HEIGHT * (value.value - min) / ((max - min) || 1)).toFixed(2);
+                            if (lastY !== undefined) {
+                                points.push(toX(value.time) + "," + lastY);
+                            }
+                            points.push(toX(value.time) + "," + y);
+                            lastY = y;
+                        });
+                        if (points.length > 0) {
+                            points.push("1000," + lastY);
+                            points.push("1000," + COUNTER_HEIGHT);
+                            points.push(toX(counter.values[0].time) + "," + COUNTER_HEIGHT);
+                        }
+
+                        counter.color = color;
+
+                        tr = Y.Node.create("<tr class='counter'/>");
+                        td = Y.Node.create("<td class='no-select counter-name' colspan='" + (data.headers.length - 1) + "'/>");
+                        td.append(Y.Node.create("<span/>").set("text", unescape(counter.name) + " "));
+                        td.append(Y.Node.create("<span class='light'/>").set("text", "(max " + max + ")"));
+                        tr.append(td);
+                        td = Y.Node.create("<td class='no-select'/>").setStyle('paddingRight', 50);
+                        td.append("<svg class='counter-track' viewBox='0 0 1000 " + COUNTER_HEIGHT + "' preserveAspectRatio='none'><polygon/></svg>");
+                        td.one("polygon").setAttribute("points", points.join(" ")).setStyles({
+                            fill: color,
+                            stroke: color
+                        });
+                        tr.append(td);
+                        counterTbody.append(tr);
+                    };
+                    Y.each(data.counters, createCounterRow);
+
                     table.append(thead);
                     table.append(tbody);
+                    // counters have their own body such that sorting the rows leaves them at the bottom
+                    if (data.counters && data.counters.length > 0) {
+                        table.append(counterTbody);
+                    }
 
                     // create footer
                     if (data.summary) {
@@ -676,19 +960,56 @@ YUI.add('mojito-waterfall-gui', function (Y, NAME) {
                         table.append(tfoot);
                     }
 
-                    // make events relative to start
+                    // make events and counter values relative to start
                     Y.each(data.events, function (event) {
                         event.time = event.time - startTime;
+                        if (event.endTime !== undefined) {
+                            event.endTime = event.endTime - startTime;
+                        }
+                    });
+                    Y.each(data.counters, function (counter) {
+                        Y.each(counter.values, function (value) {
+                            value.time = value.time - startTime;
+                        });
                     });
 
-                    waterfallSummary = new WaterfallSummary(summaries, data.events, tbody);
+                    waterfallSummary = new WaterfallSummary(summaries, data.events, tbody, data.counters);
                     waterfallRuler = new WaterfallRuler();
-                    waterfallStats = new WaterfallStats(data.stats);
+                    waterfallStats = new WaterfallStats(data.stats, data.violations);
+                    waterfallWarnings = new WaterfallWarnings(data.errors, data.units);
+
+                    // filter to only show the rows on the critical path
+                    if (hasCriticalPath) {
+                        criticalPathToggle = Y.Node.create("<label class='critical-path-toggle'><input type='checkbox'/> Show critical path only</label>");
+                        criticalPathToggle.one("input").on("click", function (e) {
+                            if (e.target.get("checked")) {
+                                table.addClass("critical-path-only");
+                            } else {
+                                table.removeClass("critical-path-only");
+                            }
+                        });
+                        waterfall.append(criticalPathToggle);
+                    }
+
+                    // legend of the event categories
+                    if (!Y.Object.isEmpty(eventCategories)) {
+                        eventCategoriesLegend = Y.Node.create("<div class='event-categories'/>");
+                        Y.Object.each(eventCategories, function (category, name) {
+                            var legend = Y.Node.create("<span class='event-category'/>");
+                            legend.append(Y.Node.create("<span class='event-category-color'/>").setStyle("backgroundColor", category.color || ''));
+                            legend.append(Y.Node.create("<span/>").set("text", category.label || name));
+                            eventCategoriesLegend.append(legend);
+                        });
+                        waterfall.append(eventCategoriesLegend);
+                    }
 
                     waterfall.append(table);
                     waterfall.append(waterfallSummary.get());
                     waterfall.append(waterfallRuler.get());
                     waterfall.append(waterfallStats.get());
+                    if (waterfallWarnings.get()) {
+                        waterfall.append(waterfallWarnings.get());
+                    }
                 } catch (e) {
                     waterfall.set("innerHTML", "<span class='error'>Error creating waterfall: " + e.message);
                 }
@@ -65,7 +65,8 @@ YUI.add('waterfall-tests', function (Y, NAME) {
                 }
             });
 
-            Y.use('mojito-waterfall');
+            Y.use('mojito-waterfall', 'mojito-waterfall-trace', 'mojito-waterfall-har', 'mojito-waterfall-navigation-timing',
+                'mojito-waterfall-folded');
         },
 
         'Test stop, resume, and clear': function () {
@@ -205,12 +206,1612 @@ YUI.add('waterfall-tests', function (Y, NAME) {
 
             waterfallData = waterfall.getGui();
 
-            Assert.areSame(27, waterfall.getSummary().split('\n').length, 'Summary has an unexpected number of lines.');
+            Assert.areSame(33, waterfall.getSummary().split('\n').length, 'Summary has an unexpected number of lines.');
 
             this.verifyProfile(expectedRootProfile, waterfall._rootProfile);
             //this.verifyGUI(waterfallData);
         },
 
+        'Concurrent profiles with handles': function () {
+            var waterfall = new Y.mojito.Waterfall(),
+                first,
+                second,
+                rows;
+
+            waterfall.start('a');
+            first = waterfall.start('model', {id: 1}, {handle: true});
+            second = waterfall.start('model', {id: 2}, {handle: true});
+            Assert.isNotUndefined(first.time, 'Handle should keep the start time.');
+
+            // end in the same order the profiles were started
+            first.end({endedBy: 1});
+            waterfall.end(second, {endedBy: 2});
+            waterfall.end('a');
+
+            rows = waterfall.getGui().rows[0].details;
+            Assert.areSame(2, rows.length, 'Unexpected number of model profiles.');
+            Y.Array.each(rows, function (row) {
+                Assert.areSame(row.id, row.endedBy, 'Profile was ended by the wrong handle.');
+            });
+
+            waterfall = new Y.mojito.Waterfall();
+            waterfall.pause();
+            first = waterfall.start('a', null, {handle: true});
+            first.end();
+            waterfall.resume();
+            Assert.areSame(0, waterfall._calls.length, 'Paused handles should not record calls.');
+        },
+
+        'Wrap functions': function () {
+            var waterfall = new Y.mojito.Waterfall(),
+                model = {
+                    sync: function (value) {
+                        return value * 2;
+                    },
+                    fail: function () {
+                        throw new Error('failed');
+                    },
+                    load: function (id, callback) {
+                        callback(id === 1 ? null : new Error('not found'), id);
+                    },
+                    fetch: function () {
+                        return {
+                            then: function (resolve, reject) {
+                                reject(new Error('rejected'));
+                            }
+                        };
+                    }
+                },
+                loaded,
+                mapped,
+                settle,
+                pending = function () {
+                    return {
+                        then: function (resolve) {
+                            settle = resolve;
+                        }
+                    };
+                },
+                rows;
+
+            waterfall.wrapObject('Model', model, {level: 'model'}, {callback: true});
+
+            Assert.areSame(4, model.sync(2), 'Wrapped function should return the original result.');
+            try {
+                model.fail();
+                Assert.fail('Wrapped function should rethrow errors.');
+            } catch (e) {
+                Assert.areSame('failed', e.message);
+            }
+            model.load(1, function (err, id) {
+                loaded = id;
+            });
+            model.load(2, function () {});
+            model.fetch();
+
+            Assert.areSame(1, loaded, 'Callback should be called with the original arguments.');
+            Assert.areSame(10, waterfall._calls.length, 'Every call should have been started and ended.');
+
+            rows = waterfall.getGui().rows[0].details;
+            Assert.areSame(5, rows.length, 'Unexpected number of method profiles.');
+            Y.Array.each(rows, function (row) {
+                Assert.areSame('model', row.level, 'Wrap data should be added to the profile.');
+            });
+            Assert.isUndefined(rows[0].status, 'Successful call should not be marked as an error.');
+            Assert.areSame('error', rows[1].status);
+            Assert.areSame('failed', rows[1].error);
+            Assert.isUndefined(rows[2].status);
+            Assert.areSame('not found', rows[3].error);
+            Assert.areSame('rejected', rows[4].error);
+
+            waterfall = new Y.mojito.Waterfall();
+            mapped = waterfall.wrap('map', function (values, mapper) {
+                return values.map(mapper);
+            })([1, 2], function (value) {
+                return value + 1;
+            });
+            Assert.areSame(3, mapped[1]);
+            rows = waterfall.getGui().rows;
+            Assert.areSame(1, rows.length, 'Function arguments should not be callbacks unless configured.');
+            Assert.isUndefined(rows[0].status);
+            Assert.isUndefined(rows[0].warning, 'The profile should end when the function returns.');
+
+            // promises settling after the waterfall was finalized are ignored, also in strict mode
+            waterfall = new Y.mojito.Waterfall();
+            waterfall.wrap('pending', pending)();
+            waterfall.configure({strict: true});
+            waterfall.getGui();
+            Assert.areSame('End was never called.', waterfall.errors[0].message);
+            settle();
+            Assert.areSame(1, waterfall.errors.length, 'Settling after finalizing should not be an error.');
+        },
+
+        'Merge Waterfalls': function () {
+            var server = {
+                    headers: ['Name', 'Type'],
+                    units: 'ns',
+                    rows: [{
+                        Name: 'a',
+                        Type: 'mojit',
+                        startTime: 0,
+                        endTime: 4e6,
+                        durations: [{type: 'Elapsed Time', duration: 4e6}],
+                        details: [{
+                            Name: 'b',
+                            startTime: 1e6,
+                            endTime: 3e6,
+                            durations: [{type: 'Elapsed Time', duration: 2e6}]
+                        }]
+                    }],
+                    events: [{type: 'flush', time: 4e6}]
+                },
+                client = {
+                    headers: ['Name', 'Timeline'],
+                    units: 'ms',
+                    rows: [{
+                        Name: 'c',
+                        startTime: 2,
+                        endTime: 7,
+                        durations: [{type: 'Elapsed Time', duration: 5}]
+                    }],
+                    events: [{type: 'flush', time: 1}]
+                },
+                merged = Y.mojito.Waterfall.mergeWaterfalls([{
+                    name: 'Server',
+                    waterfall: server
+                }, {
+                    name: 'Client',
+                    waterfall: client
+                }]);
+
+            Assert.areSame('ms', merged.units, 'Merged waterfall should be in ms.');
+            Assert.areSame('Name,Type', merged.headers.join(), 'Unexpected merged headers.');
+            Assert.areSame(2, merged.rows.length, 'Expected one top level row per source.');
+            Assert.areSame('Server', merged.rows[0].Name);
+            Assert.areSame('Client', merged.rows[1].Name);
+            Assert.areSame(1, merged.rows[0].details[0].details[0].startTime, 'Server times should be converted to ms.');
+
+            // client is aligned on the 'flush' event, 3ms after the server start
+            Assert.areSame(5, merged.rows[1].startTime, 'Client row was not aligned by the common event.');
+            Assert.areSame(10, merged.rows[1].endTime);
+            Assert.areSame(2, merged.events.length, 'Unexpected number of events.');
+            Assert.areSame(4, merged.events[1].time);
+            Assert.areSame('Client', merged.events[1].source);
+            Assert.areSame('10ms', merged.stats.totalDuration, 'Unexpected total duration.');
+            Assert.areSame(1, merged.stats.c.Calls, 'Stats should be recomputed.');
+
+            // an explicit offset takes precedence over the estimated one
+            merged = Y.mojito.Waterfall.mergeWaterfalls([server, {
+                waterfall: client,
+                offset: '10ms'
+            }]);
+            Assert.areSame('Waterfall 1', merged.rows[0].Name);
+            Assert.areSame(12, merged.rows[1].startTime, 'Client row was not shifted by the given offset.');
+            Assert.areSame(4e6, server.rows[0].endTime, 'Source waterfalls should not be modified.');
+        },
+
+        'Filter Expressions': function () {
+            var Expression = Y.mojito.Waterfall.Expression,
+                execute = Y.mojito.Waterfall._executeExpression,
+                values = {
+                    a: 'banana',
+                    Calls: 3,
+                    'Total Duration': 12.5,
+                    type: 'Render'
+                },
+                stats,
+                waterfall,
+                i;
+
+            Assert.isTrue(Expression.evaluate("a === 'banana'", values), 'Variable names should not be substituted inside values.');
+            Assert.isTrue(Expression.evaluate('Calls > 1 && Total Duration >= 12.5', values));
+            Assert.isFalse(Expression.evaluate("!(type == \"Render\") || Calls % 2 === 0", values));
+            Assert.areSame(-7, Expression.evaluate('-(1 + 2 * 3)', values), 'Unexpected operator precedence.');
+            Assert.areSame('Render:3', Expression.evaluate("type + ':' + Calls", values));
+            Assert.areSame('many', Expression.evaluate("Calls > 2 ? 'many' : 'few'", values));
+            Assert.isTrue(Expression.evaluate('missing === undefined && constructor === undefined', values), 'Unknown variables should be undefined.');
+            Assert.isUndefined(Expression.evaluate('hasOwnProperty', values));
+            Assert.isTrue(Expression.evaluate('Calls > 1', values), 'Expressions named after object properties should not break the cache.');
+            for (i = 0; i < 150; i++) {
+                Expression.parse('Calls > ' + i);
+            }
+            Assert.areSame(Expression.parse('Calls > 149'), Expression.parse('Calls > 149'));
+
+            try {
+                Expression.parse('Calls > (1 +');
+                Assert.fail('Expected a parse error.');
+            } catch (e) {
+                Assert.areSame(12, e.position, 'Parse error should report its position.');
+            }
+            try {
+                Expression.parse("constructor.constructor('return process')()");
+                Assert.fail('Expected a parse error.');
+            } catch (e2) {
+                Assert.areSame(11, e2.position);
+            }
+            Assert.isNull(execute('Calls >', values), 'Invalid expressions should evaluate to null.');
+            Assert.isNull(execute('', values));
+
+            waterfall = new Y.mojito.Waterfall({
+                stats: {
+                    profileFilter: "Name !== 'b'",
+                    statsFilter: 'Calls > 1'
+                }
+            });
+            waterfall.start('a');
+            waterfall.end('a');
+            waterfall.start('a');
+            waterfall.end('a');
+            waterfall.start('b');
+            waterfall.end('b');
+            waterfall.start('c');
+            waterfall.end('c');
+            stats = waterfall.getGui().stats;
+            Assert.isUndefined(stats.b, 'Profile filter should exclude b.');
+            Assert.isUndefined(stats.c, 'Stats filter should exclude c.');
+        },
+
+        'Trace Event Format': function () {
+            var Trace = Y.mojito.Waterfall.Trace,
+                waterfall = {
+                    headers: ['Name', 'Type'],
+                    units: 'ns',
+                    rows: [{
+                        Name: 'a',
+                        Type: 'mojit',
+                        startTime: 0,
+                        durations: [{type: 'Elapsed Time', duration: 4e6}],
+                        details: [{
+                            Name: 'b',
+                            startTime: 1e6,
+                            durations: [{type: 'Wait', duration: 1e6}, {type: 'Render', duration: 1e6}]
+                        }]
+                    }, {
+                        Name: 'c',
+                        startTime: 2e6,
+                        durations: [{type: 'Elapsed Time', duration: 1e6}]
+                    }],
+                    events: [{type: 'flush', time: 3e6, color: '#fff', level: 'mojito'}]
+                },
+                trace = Trace.fromWaterfall(waterfall, {name: 'Server'}),
+                byName = {},
+                imported;
+
+            Y.Array.each(trace.traceEvents, function (event) {
+                byName[event.name] = byName[event.name] || [];
+                byName[event.name].push(event);
+            });
+
+            Assert.areSame('Server', byName.process_name[0].args.name);
+            Assert.areSame('X', byName.a[0].ph, 'Rows should be complete events.');
+            Assert.areSame(4000, byName.a[0].dur, 'Durations should be in microseconds.');
+            Assert.areSame('mojit', byName.a[0].args.Type, 'Row data should be in args.');
+            Assert.areSame(byName.a[0].tid, byName.b[0].tid, 'Children should be on the same thread as their parent.');
+            Assert.areNotSame(byName.a[0].tid, byName.c[0].tid, 'Overlapping top level rows should be on different threads.');
+            Assert.areSame(2000, byName.Render[0].ts, 'Durations should be laid out one after the other.');
+            Assert.isUndefined(byName['Elapsed Time'], 'Elapsed time should not be a separate event.');
+            Assert.areSame('i', byName.flush[0].ph, 'Events should be instant events.');
+            Assert.areSame('mojito', byName.flush[0].args.level);
+
+            imported = Trace.toWaterfall(trace);
+            Assert.areSame('Name,Type', imported.headers.join(), 'Headers should be restored.');
+            Assert.areSame(2, imported.rows.length, 'Unexpected number of top level rows.');
+            Assert.areSame('a', imported.rows[0].Name);
+            Assert.areSame('mojit', imported.rows[0].Type);
+            Assert.areSame(1, imported.rows[0].details.length, 'Rows should be nested by containment.');
+            Assert.areSame('Wait', imported.rows[0].details[0].durations[0].type, 'Durations should be restored.');
+            Assert.areSame('Render', imported.rows[0].details[0].durations[1].type);
+            Assert.areSame(3, imported.events[0].time);
+            Assert.areSame(1, imported.stats.c.Calls);
+
+            // begin/end pairs in the array format
+            imported = Trace.toWaterfall([
+                {name: 'x', ph: 'B', ts: 1000, pid: 1, tid: 1, args: {level: 'x'}},
+                {name: 'y', ph: 'B', ts: 1500, pid: 1, tid: 1},
+                {ph: 'E', ts: 2000, pid: 1, tid: 1},
+                {ph: 'E', ts: 3000, pid: 1, tid: 1, args: {status: 'ok'}}
+            ]);
+            Assert.areSame(0, imported.rows[0].startTime);
+            Assert.areSame(2, imported.rows[0].endTime);
+            Assert.areSame('ok', imported.rows[0].status, 'Args of begin and end should be merged.');
+            Assert.areSame('y', imported.rows[0].details[0].Name);
+
+            // parallel children
+            trace = Trace.fromWaterfall({
+                units: 'ms',
+                rows: [{
+                    Name: 'parent',
+                    startTime: 0,
+                    durations: [{type: 'Elapsed Time', duration: 10}],
+                    details: [{
+                        Name: 'first',
+                        startTime: 1,
+                        durations: [{type: 'Elapsed Time', duration: 5}]
+                    }, {
+                        Name: 'second',
+                        startTime: 2,
+                        durations: [{type: 'Elapsed Time', duration: 6}]
+                    }]
+                }]
+            });
+            byName = {};
+            Y.Array.each(trace.traceEvents, function (event) {
+                byName[event.name] = byName[event.name] || [];
+                byName[event.name].push(event);
+            });
+            Assert.areSame(byName.parent[0].tid, byName.first[0].tid);
+            Assert.areNotSame(byName.first[0].tid, byName.second[0].tid, 'Overlapping children should be on different threads.');
+            Assert.areSame(byName.parent[0].id, byName.second[0].parentId);
+            imported = Trace.toWaterfall(trace);
+            Assert.areSame(1, imported.rows.length, 'Overlapping children should not become top level rows.');
+            Assert.areSame('first', imported.rows[0].details[0].Name);
+            Assert.areSame('second', imported.rows[0].details[1].Name);
+            Assert.isUndefined(imported.rows[0].details[0].details, 'Overlapping children should not be nested in each other.');
+        },
+
+        'HAR import and export': function () {
+            var HAR = Y.mojito.Waterfall.HAR,
+                har = {
+                    log: {
+                        version: '1.2',
+                        pages: [{
+                            startedDateTime: '2013-05-01T10:00:00.000Z',
+                            id: 'page_1',
+                            title: 'Home',
+                            pageTimings: {onContentLoad: 120, onLoad: -1}
+                        }],
+                        entries: [{
+                            pageref: 'page_1',
+                            startedDateTime: '2013-05-01T10:00:00.050Z',
+                            time: 60,
+                            request: {method: 'GET', url: 'http://example.com/app.js'},
+                            response: {status: 200, content: {size: 512, mimeType: 'text/javascript'}},
+                            timings: {blocked: -1, dns: 5, connect: 10, send: 1, wait: 30, receive: 4, ssl: -1}
+                        }, {
+                            pageref: 'page_1',
+                            startedDateTime: '2013-05-01T10:00:00.010Z',
+                            time: 20,
+                            request: {method: 'POST', url: 'http://example.com/api'},
+                            response: {status: 404, content: {size: 0, mimeType: 'application/json'}},
+                            timings: {send: 0, wait: 20, receive: 0}
+                        }]
+                    }
+                },
+                waterfall = HAR.toWaterfall(har),
+                // rows are sorted by start time
+                row = waterfall.rows[1],
+                exported;
+
+            Assert.areSame('Name,Method,Status,Type,Size', waterfall.headers.join());
+            Assert.areSame(2, waterfall.rows.length, 'Unexpected number of rows.');
+            Assert.areSame('http://example.com/app.js', row.url);
+            Assert.areSame(50, row.startTime, 'Row should start relative to the page.');
+            Assert.areSame(6, row.durations.length, 'Unavailable phases should be skipped.');
+            Assert.areSame('DNS', row.durations[0].type);
+            Assert.areSame('Other', row.durations[5].type, 'Unaccounted time should be other.');
+            Assert.areSame(10, row.durations[5].duration);
+            Assert.areSame(1, waterfall.events.length, 'Only available page timings should be events.');
+            Assert.areSame('onContentLoad', waterfall.events[0].type);
+            Assert.areSame(120, waterfall.events[0].time);
+
+            exported = HAR.fromWaterfall(waterfall, {startedDateTime: Date.parse('2013-05-01T10:00:00.000Z')});
+            Assert.areSame('1.2', exported.log.version);
+            Assert.areSame(2, exported.log.entries.length, 'Unexpected number of entries.');
+            Assert.areSame('http://example.com/api', exported.log.entries[0].request.url, 'Entries should be sorted by start time.');
+            Assert.areSame('POST', exported.log.entries[0].request.method);
+            Assert.areSame(404, exported.log.entries[0].response.status);
+            Assert.areSame('2013-05-01T10:00:00.050Z', exported.log.entries[1].startedDateTime);
+            Assert.areSame(5, exported.log.entries[1].timings.dns);
+            Assert.areSame(-1, exported.log.entries[1].timings.blocked);
+            Assert.areSame(40, exported.log.entries[1].timings.wait, 'Other time should be reported as wait time.');
+            Assert.areSame(60, exported.log.entries[1].time);
+            Assert.areSame(120, exported.log.pages[0].pageTimings.onContentLoad);
+            Assert.areSame(-1, exported.log.pages[0].pageTimings.onLoad);
+        },
+
+        'Navigation Timing': function () {
+            var waterfall = new Y.mojito.Waterfall(),
+                resources = [{
+                    name: 'http://example.com/app.js',
+                    initiatorType: 'script',
+                    startTime: 160,
+                    domainLookupStart: 160,
+                    domainLookupEnd: 160,
+                    requestStart: 170,
+                    responseStart: 180,
+                    responseEnd: 200
+                }, {
+                    name: 'http://cdn.example.com/logo.png',
+                    initiatorType: 'img',
+                    startTime: 210,
+                    duration: 40,
+                    responseEnd: 250
+                }],
+                performance = {
+                    now: function () {
+                        return 1000;
+                    },
+                    getEntriesByType: function (type) {
+                        return {
+                            navigation: [{
+                                name: 'http://example.com/',
+                                redirectStart: 0,
+                                redirectEnd: 0,
+                                domainLookupStart: 10,
+                                domainLookupEnd: 20,
+                                connectStart: 20,
+                                connectEnd: 50,
+                                requestStart: 60,
+                                responseStart: 100,
+                                responseEnd: 150,
+                                domContentLoadedEventStart: 300,
+                                domComplete: 400,
+                                loadEventStart: 410,
+                                loadEventEnd: 420
+                            }],
+                            resource: resources,
+                            paint: [{name: 'first-paint', startTime: 250}]
+                        }[type];
+                    }
+                },
+                near = function (expected, actual, message, tolerance) {
+                    Assert.isTrue(Math.abs(expected - actual) < (tolerance || 1e3), message + ' Expected ' + expected + ' but was ' + actual + '.');
+                },
+                durationTypes = [],
+                rows,
+                navigation,
+                resourcesRow,
+                gui;
+
+            Assert.isTrue(Y.mojito.Waterfall.NavigationTiming.collect(waterfall, {performance: performance}));
+            waterfall.start('Manual');
+            waterfall.end('Manual');
+
+            resources.push({
+                name: 'http://example.com/late.js',
+                initiatorType: 'script',
+                startTime: 900,
+                duration: 10
+            });
+            Y.mojito.Waterfall.NavigationTiming.collect(waterfall, {performance: performance});
+
+            gui = waterfall.getGui();
+            rows = {};
+            Y.Array.each(gui.rows, function (row) {
+                rows[row.Name] = row;
+            });
+            navigation = rows.Navigation;
+            resourcesRow = rows.Resources;
+
+            Assert.areSame('http://example.com/', navigation.url);
+            Assert.areSame(0, navigation.startTime, 'Navigation should start the waterfall.');
+            Y.Array.each(navigation.durations, function (duration) {
+                durationTypes.push(duration.type);
+            });
+            Assert.areSame('DNS,Connect,Request,Response,DOM Processing,Load Event,Other', durationTypes.join(), 'Unexpected navigation phases.');
+            Assert.areSame(3, resourcesRow.details.length, 'Resources should only be collected once.');
+            Assert.areSame('http://example.com/app.js', resourcesRow.details[0].Name);
+            Assert.areSame('Request', resourcesRow.details[0].durations[0].type, 'Zero length phases should be skipped.');
+            Assert.areSame('Elapsed Time', resourcesRow.details[1].durations[0].type, 'Cross origin resources have no phases.');
+            near(240e6, resourcesRow.details[1].endTime, 'Cross origin resource should end at its response end.');
+            // the manual profile starts right after collecting, 1s after the time origin
+            near(990e6, rows.Manual.startTime, 'Manual profiles should line up with the navigation.', 50e6);
+            Assert.areSame('DOMContentLoaded', gui.events[0].type);
+            near(290e6, gui.events[0].time, 'DOMContentLoaded is not aligned.');
+            Assert.areSame(3, gui.events.length, 'Navigation events should only be collected once.');
+        },
+
+        'Percentile Stats': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                msTimeToString = Waterfall.Time.msTimeToString,
+                createWaterfall = function () {
+                    var waterfall = {
+                            headers: ['Name'],
+                            units: 'ms',
+                            rows: [],
+                            events: []
+                        },
+                        i;
+                    // durations of 10, 1, 2, ..., 9ms
+                    for (i = 0; i < 10; i++) {
+                        waterfall.rows.push({
+                            Name: 'row' + i,
+                            type: 'x',
+                            startTime: i * 10,
+                            endTime: i * 10 + (i || 10),
+                            durations: [{type: 'Elapsed Time', duration: i || 10}]
+                        });
+                    }
+                    return waterfall;
+                },
+                stats,
+                summary;
+
+            stats = Waterfall.computeStats(createWaterfall());
+            Assert.areSame('Name,Calls,Total Duration,Self Time,Avg Duration,Min Duration,Max Duration,summary', Y.Object.keys(stats.x).join(), 'Default columns changed.');
+
+            stats = Waterfall.computeStats(createWaterfall(), {
+                stats: {
+                    columns: ['Calls', 'Median Duration', 'P75 Duration', 'P90 Duration', 'P99 Duration', 'Std Dev', 'Unknown'],
+                    statsFilter: "Name !== 'x' || P95 Duration === 10"
+                }
+            });
+            Assert.areSame('Name,Calls,Median Duration,P75 Duration,P90 Duration,P99 Duration,Std Dev,summary', Y.Object.keys(stats.x).join(), 'Columns should follow the config.');
+            Assert.areSame(10, stats.x.Calls);
+            Assert.areSame(msTimeToString(5, 4), stats.x['Median Duration']);
+            Assert.areSame(msTimeToString(8, 4), stats.x['P75 Duration']);
+            Assert.areSame(msTimeToString(9, 4), stats.x['P90 Duration']);
+            Assert.areSame(msTimeToString(10, 4), stats.x['P99 Duration']);
+            Assert.areSame(msTimeToString(Math.sqrt(8.25), 4), stats.x['Std Dev']);
+
+            summary = Waterfall.getSummary({stats: stats});
+            Assert.isTrue(summary.indexOf('| Median Duration |') !== -1, 'Summary should show the configured columns.');
+            Assert.isTrue(summary.indexOf('Total Duration') === -1, 'Summary should only show the configured columns.');
+        },
+
+        'Self Time': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                msTimeToString = Waterfall.Time.msTimeToString,
+                waterfall = {
+                    headers: ['Name', 'Self Time'],
+                    units: 'ms',
+                    rows: [{
+                        Name: 'root',
+                        startTime: 0,
+                        endTime: 10,
+                        durations: [{type: 'Elapsed Time', duration: 10}],
+                        details: [{
+                            Name: 'a',
+                            type: 'child',
+                            startTime: 1,
+                            endTime: 4,
+                            durations: [{type: 'Elapsed Time', duration: 3}]
+                        }, {
+                            Name: 'b',
+                            type: 'child',
+                            startTime: 3,
+                            endTime: 6,
+                            durations: [{type: 'Elapsed Time', duration: 3}]
+                        }, {
+                            Name: 'c',
+                            type: 'child',
+                            startTime: 8,
+                            endTime: 12,
+                            durations: [{type: 'Elapsed Time', duration: 4}]
+                        }]
+                    }],
+                    events: []
+                },
+                stats = Waterfall.computeStats(waterfall, {
+                    stats: {
+                        columns: ['Total Duration', 'Self Time', 'Avg Self Time']
+                    }
+                });
+
+            // children cover 1-6ms and 8-10ms of the root
+            Assert.areSame(msTimeToString(3, 4), waterfall.rows[0]['Self Time'], 'Overlapping children should only be subtracted once.');
+            Assert.areSame(msTimeToString(3, 4), waterfall.rows[0].details[0]['Self Time']);
+            Assert.areSame(msTimeToString(3, 4), stats.root['Self Time']);
+            Assert.areSame(msTimeToString(10, 4), stats.child['Self Time'], 'Children without details should only have self time.');
+            Assert.areSame(msTimeToString(10 / 3, 4), stats.child['Avg Self Time']);
+
+            waterfall.headers = ['Name'];
+            delete waterfall.rows[0]['Self Time'];
+            Waterfall.computeStats(waterfall);
+            Assert.isUndefined(waterfall.rows[0]['Self Time'], 'Self time should only be a row column if it is a header.');
+        },
+
+        'Critical Path': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                createRow = function (name, startTime, endTime, details) {
+                    return {
+                        Name: name,
+                        startTime: startTime,
+                        endTime: endTime,
+                        durations: [{type: 'Elapsed Time', duration: endTime - startTime}],
+                        details: details
+                    };
+                },
+                waterfall = {
+                    headers: ['Name'],
+                    units: 'ms',
+                    rows: [
+                        createRow('a', 0, 10, [
+                            createRow('a1', 0, 4),
+                            createRow('a2', 5, 9),
+                            createRow('a3', 1, 3)
+                        ]),
+                        createRow('b', 2, 6),
+                        createRow('c', 11, 15)
+                    ],
+                    events: []
+                },
+                path = Waterfall.computeCriticalPath(waterfall),
+                paths = [],
+                summary,
+                instance = new Waterfall();
+
+            Y.Array.each(path, function (step) {
+                paths.push(step.path);
+            });
+            Assert.areSame('/a,/a/a1,/a/a2,/c', paths.join(), 'Unexpected critical path.');
+            Assert.areSame(2, path[0].contribution, 'Parent contribution should exclude its critical children.');
+            Assert.areSame(4, path[1].contribution);
+            Assert.areSame(1, path[1].depth);
+            Assert.areSame(4, path[3].contribution);
+            Assert.areSame(100 * 4 / 15, path[3].percentage);
+            Assert.isTrue(waterfall.rows[0].critical);
+            Assert.isUndefined(waterfall.rows[1].critical, 'Parallel rows should not be critical.');
+            Assert.isUndefined(waterfall.rows[0].details[2].critical);
+
+            waterfall.criticalPath = path;
+            summary = Waterfall.getSummary(waterfall);
+            Assert.isTrue(summary.indexOf('Critical Path:\n  /a: 2ms (13.3%)\n    /a/a1: 4ms (26.7%)\n') !== -1, 'Summary should list the critical path.');
+
+            instance.start('x');
+            instance.end('x');
+            Assert.areSame('/x', instance.getGui().criticalPath[0].path);
+        },
+
+        'Record and replay calls': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                waterfall = new Waterfall({headers: ['Name']}),
+                first = waterfall.start('/request', {Type: 'GET'}, {handle: true}),
+                second = waterfall.start('/request', {Type: 'POST'}, {handle: true}),
+                log,
+                replayed,
+                gui,
+                replayedGui;
+
+            waterfall.event('flush', {level: 'mojito'});
+            waterfall.start('/request/render:Render');
+            waterfall.end('/request/render:Render');
+            first.end();
+            second.end({Status: 200});
+
+            gui = waterfall.getGui();
+            log = JSON.parse(JSON.stringify(waterfall.toCalls()));
+
+            Assert.areSame(1, log.version);
+            Assert.areSame(7, log.calls.length, 'Calls should be kept after finalizing the waterfall.');
+            Assert.areSame(log.calls[0].handle, log.calls[5].handle, 'The handle should be shared by the start and end.');
+            Assert.areSame('flush', log.calls[2].name);
+            Assert.isUndefined(log.calls[2].data.type, 'Call data should not be modified.');
+
+            replayed = Waterfall.fromCalls(log, {headers: ['Name', 'Type', 'Status']});
+            replayedGui = replayed.getGui();
+
+            Assert.areSame('Name,Type,Status', replayedGui.headers.join(), 'Replayed waterfall should use the new config.');
+            Assert.areSame(gui.rows.length, replayedGui.rows.length);
+            Assert.areSame('GET', replayedGui.rows[0].Type, 'Handles should end the right profile.');
+            Assert.areSame(200, replayedGui.rows[1].Status);
+            Assert.areSame(gui.rows[0].durations[0].type, replayedGui.rows[0].durations[0].type);
+            Assert.isTrue(Math.abs(gui.rows[1].endTime - replayedGui.rows[1].endTime) < 1e3, 'Times should be preserved.');
+            Assert.areSame('flush', replayedGui.events[0].type);
+            Assert.areSame(waterfall.getSummary().split('\n').length, replayed.getSummary().split('\n').length);
+
+            try {
+                Waterfall.fromCalls({version: 2, calls: []});
+                Assert.fail('Expected an unsupported version error.');
+            } catch (e) {
+                Assert.areSame('Unsupported call log version: 2.', e.message);
+            }
+        },
+
+        'Snapshots of an open waterfall': function () {
+            var waterfall = new Y.mojito.Waterfall(),
+                snapshot;
+
+            waterfall.start('a');
+            waterfall.start('b');
+            waterfall.end('b');
+            waterfall.start('c');
+
+            snapshot = waterfall.snapshot();
+            Assert.areSame(1, snapshot.rows.length);
+            Assert.isTrue(snapshot.rows[0].inProgress, 'Open profiles should be in progress.');
+            Assert.areSame(2, snapshot.rows[0].details.length);
+            Assert.isUndefined(snapshot.rows[0].details[0].inProgress, 'Closed profiles should not be in progress.');
+            Assert.isTrue(snapshot.rows[0].details[1].inProgress);
+            Assert.isTrue(snapshot.rows[0].endTime > 0, 'Open profiles should end now.');
+
+            waterfall.end('c');
+            waterfall.start('/d');
+            waterfall.end('/d');
+            waterfall.event('flush');
+
+            snapshot = waterfall.snapshot();
+            Assert.areSame(2, snapshot.rows.length, 'Later snapshots should include new calls.');
+            Assert.isUndefined(snapshot.rows[0].details[1].inProgress);
+            Assert.areSame('flush', snapshot.events[0].type);
+
+            waterfall.end('a');
+            Assert.isUndefined(waterfall.getGui().rows[0].inProgress);
+        },
+
+        'Call limits and sampling': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                profile = function (waterfall) {
+                    var i;
+                    waterfall.start('/root');
+                    waterfall.start('a');
+                    for (i = 0; i < 5; i++) {
+                        waterfall.start('query');
+                        waterfall.end('query');
+                    }
+                    waterfall.end('a');
+                    waterfall.event('flush');
+                    waterfall.end('/root');
+                    return waterfall.getGui();
+                },
+                waterfall,
+                gui,
+                sampled = 0,
+                i;
+
+            // the limit is reached after the second query
+            gui = profile(new Waterfall({limits: {maxCalls: 6}}));
+            Assert.areSame(1, gui.rows.length);
+            Assert.areSame(2, gui.rows[0].details[0].details.length, 'New profiles should be dropped.');
+            Assert.areSame(3, gui.dropped.profiles);
+            Assert.areSame(1, gui.dropped.events);
+            Assert.areSame(0, gui.events.length);
+            Assert.isTrue(Waterfall.getSummary(gui).indexOf('Limit of 6 calls reached (drop-new): dropped 3 profiles and 1 events,') !== -1,
+                'Summary should report what was dropped.');
+
+            gui = profile(new Waterfall({limits: {maxCalls: 2, overflow: 'drop-below-depth', maxDepth: 2}}));
+            Assert.isUndefined(gui.rows[0].details[0].details, 'Profiles below the max depth should be dropped.');
+            Assert.areSame(5, gui.dropped.profiles);
+
+            gui = profile(new Waterfall({limits: {maxCalls: 6, overflow: 'aggregate'}}));
+            Assert.areSame(2, gui.rows[0].details[0].details.length);
+            Assert.areSame(3, gui.stats['/root/a/query (aggregated)'].Calls, 'Repeated keys should be aggregated.');
+            Assert.areSame('-', gui.stats['/root/a/query (aggregated)']['Self Time']);
+            Assert.areSame(3, gui.dropped.aggregated);
+            Assert.areSame(1, gui.dropped.aggregates);
+
+            gui = profile(new Waterfall({limits: {maxCalls: 100}}));
+            Assert.isUndefined(gui.dropped, 'Nothing should be reported if nothing was dropped.');
+
+            // the limits start over with the calls that were cleared
+            waterfall = new Waterfall({limits: {maxCalls: 2, overflow: 'aggregate'}, strict: true});
+            waterfall.start('a');
+            waterfall.end('a');
+            waterfall.start('a');
+            waterfall.end('a');
+            waterfall.start('b');
+            waterfall.clear();
+            waterfall.start('c');
+            waterfall.end('c');
+            gui = waterfall.getGui();
+            Assert.areSame(1, gui.rows.length);
+            Assert.isUndefined(gui.dropped, 'Cleared calls should not be reported as dropped.');
+            Assert.isUndefined(gui.stats['/a (aggregated)']);
+            Assert.areSame(0, waterfall.errors.length, 'Cleared profiles should not need an end.');
+
+            gui = new Waterfall({sampleRate: 0});
+            gui.resume();
+            gui.start('a', null, {handle: true}).end();
+            Assert.areSame(0, gui._calls.length, 'Unsampled waterfalls should not record calls.');
+            Assert.isFalse(gui.getGui().sampled);
+            Assert.areSame(0, gui.getGui().rows.length);
+            Assert.isTrue(gui.getSummary().indexOf('This request was not sampled.') !== -1);
+            Assert.areSame('\nThis request was not sampled.\n', gui.getSummary(), 'Unsampled requests should have no stats.');
+
+            for (i = 0; i < 20; i++) {
+                gui = new Waterfall();
+                gui.configure({sampleRate: 0.5});
+                sampled += gui._sampled ? 1 : 0;
+                gui.configure({sampleRate: 1});
+            }
+            Assert.isTrue(sampled > 0 && sampled < 20, 'Sampling should be random.');
+        },
+
+        'Structured errors': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                waterfall = new Waterfall({stacks: true}),
+                gui,
+                strict;
+
+            waterfall.start('a:b:c');
+            waterfall.end('x');
+            waterfall.start('parent');
+            waterfall.start('child');
+            waterfall.end('child');
+
+            gui = waterfall.getGui();
+            Assert.areSame(3, gui.errors.length);
+            Assert.areSame('a:b:c', gui.errors[0].key);
+            Assert.areSame('Invalid profile.', gui.errors[0].message);
+            Assert.areSame('Start was never called.', gui.errors[1].message);
+            Assert.areSame('parent', gui.errors[2].key);
+            Assert.areSame('End was never called.', gui.errors[2].message);
+            Assert.isTrue(gui.errors[2].time >= 0, 'Error times should be relative to the start.');
+            Assert.isTrue(gui.errors[2].stack.indexOf('waterfall.server-tests.js') !== -1, 'Errors should include the call site.');
+            Assert.areSame('End of \'parent\' was never called.', gui.rows[0].warning, 'Affected rows should be marked.');
+
+            waterfall.start('late');
+            Assert.areSame(4, waterfall.errors.length, 'Misuse after finalizing should be collected.');
+
+            strict = new Waterfall({strict: true});
+            try {
+                strict.start('/a/');
+                Assert.fail('Expected an invalid profile error.');
+            } catch (e) {
+                Assert.areSame('Error when profiling \'/a/\': Invalid profile.', e.message);
+            }
+            strict.start('a', null, {handle: true}).end();
+            try {
+                strict.end('a');
+                Assert.fail('Expected an error for an end without a start.');
+            } catch (e2) {
+                Assert.areSame('a', e2.profileKey);
+            }
+            Assert.areSame(2, strict.errors.length);
+            Assert.isTrue(strict.errors[1].stack.indexOf('waterfall.server-tests.js') !== -1, 'Strict errors should include the call site.');
+            try {
+                strict.event('lost', null, {profileKey: 'missing'});
+                Assert.fail('Expected an error for an event of a profile that was never started.');
+            } catch (e3) {
+                Assert.areSame('missing', e3.profileKey);
+            }
+            strict.event('found', null, {profileKey: 'a'});
+            strict.start('open');
+            try {
+                strict.getGui();
+                Assert.fail('Expected an error for a profile that was never ended.');
+            } catch (e4) {
+                Assert.areSame('open', e4.profileKey);
+            }
+            strict.end('open');
+            Assert.areSame(2, strict.getGui().rows.length, 'The waterfall should remain usable after a strict error.');
+            Assert.areSame(4, strict.getGui().errors.length);
+            Assert.areSame('found', strict.getGui().rows[0].events[0].type);
+
+            // the call site is the caller, whether the waterfall was called through a handle or a wrapped function
+            waterfall = new Waterfall({stacks: true});
+            waterfall.start('handle', null, {handle: true}).end();
+            waterfall.wrap('wrapped', function () {
+                return;
+            })();
+            Assert.areSame(4, waterfall._calls.length);
+            Y.Array.each(waterfall._calls, function (call) {
+                Assert.isTrue(call.stack.split('\n')[0].indexOf('waterfall.server-tests.js') !== -1,
+                    'The call site of ' + call.profileKey + ' should be the caller.');
+            });
+        },
+
+        'Escaped profile keys': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                waterfall = new Waterfall(),
+                handle,
+                gui,
+                replayed;
+
+            waterfall.start(['', 'root']);
+            waterfall.start(['GET /api/x']);
+            waterfall.end(['GET /api/x']);
+            waterfall.start('GET \\/api\\/x:Connect to host\\:80');
+            waterfall.end('GET \\/api\\/x:Connect to host\\:80');
+            handle = waterfall.start(['C:\\tmp\\file'], null, {handle: true});
+            handle.end();
+            waterfall.wrapObject(['', 'root', 'model'], {
+                'get/set': function () {
+                    return true;
+                }
+            })['get/set']();
+            waterfall.end('/root');
+
+            Assert.areSame('a\\/b\\:c\\\\d', Waterfall.escapeKey('a/b:c\\d'));
+
+            gui = waterfall.getGui();
+            Assert.areSame(0, waterfall.errors.length, 'Escaped keys should be valid.');
+            Assert.areSame('root', gui.rows[0].Name);
+            Assert.areSame('GET /api/x', gui.rows[0].details[0].Name, 'Names should be unescaped.');
+            Assert.areSame('Connect to host:80', gui.rows[0].details[0].durations[0].type);
+            Assert.areSame('C:\\tmp\\file', gui.rows[0].details[1].Name);
+            Assert.areSame('model', gui.rows[0].details[2].Name);
+            Assert.areSame('get/set', gui.rows[0].details[2].details[0].Name);
+
+            replayed = Waterfall.fromCalls(JSON.parse(JSON.stringify(waterfall.toCalls()))).getGui();
+            Assert.areSame('GET /api/x', replayed.rows[0].details[0].Name, 'Escaped keys should round-trip.');
+            Assert.areSame('get/set', replayed.rows[0].details[2].details[0].Name);
+
+            waterfall = new Waterfall({
+                limits: {
+                    maxCalls: 2,
+                    overflow: 'drop-below-depth',
+                    maxDepth: 1
+                }
+            });
+            waterfall.start('x');
+            waterfall.end('x');
+            waterfall.start('a\\/b');
+            waterfall.start('a\\/b/c');
+            waterfall.end('a\\/b/c');
+            waterfall.end(['a/b']);
+            gui = waterfall.getGui();
+            Assert.areSame(1, gui.dropped.profiles, 'Escaped separators should not add depth.');
+            Assert.areSame('a/b', gui.rows[1].Name);
+            Assert.isUndefined(gui.rows[1].details);
+        },
+
+        'Custom clocks': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                time = 0,
+                ticks = 0,
+                fakeClock = {
+                    now: function () {
+                        ticks++;
+                        return time;
+                    },
+                    units: 'ms'
+                },
+                waterfall = new Waterfall({clock: fakeClock}),
+                bigIntClock,
+                gui,
+                log;
+
+            Assert.areSame(0, ticks, 'The clock should not be called before profiling.');
+            waterfall.start('a');
+            time = 5;
+            waterfall.start('b');
+            time = 7;
+            waterfall.end('b');
+            time = 10;
+            waterfall.event('done');
+            waterfall.end('a');
+
+            gui = waterfall.getGui();
+            Assert.areSame('ms', gui.units);
+            Assert.areSame(0, gui.rows[0].startTime, 'A clock starting at 0 should be supported.');
+            Assert.areSame(10, gui.rows[0].endTime);
+            Assert.areSame(5, gui.rows[0].details[0].startTime);
+            Assert.areSame(2, gui.rows[0].details[0].durations[0].duration);
+            Assert.areSame(10, gui.events[0].time);
+            Assert.isTrue(waterfall.getSummary().indexOf('Total Execution Time: 10ms') !== -1);
+
+            // global clock in microseconds
+            Waterfall.setClock({
+                now: function () {
+                    return time * 1000;
+                },
+                units: 'us'
+            });
+            waterfall = new Waterfall();
+            Waterfall.setClock(null);
+            time = 1;
+            waterfall.start('a');
+            time = 3;
+            waterfall.end('a');
+            log = waterfall.toCalls();
+            Assert.areSame(3, log.calls[1].time, 'Call logs should be in ms.');
+            gui = waterfall.getGui();
+            Assert.areSame('us', gui.units);
+            Assert.areSame(2000, gui.rows[0].durations[0].duration);
+            Assert.areSame('ns', new Waterfall().getGui().units, 'The default clock should be restored.');
+
+            gui = Waterfall.fromCalls(log, {clock: fakeClock}).getGui();
+            Assert.areSame(2, gui.rows[0].endTime, 'Call logs should be replayed with any clock.');
+
+            Assert.areSame('ns', new Waterfall({clock: {units: 'ns'}}).getGui().units, 'Invalid clocks should be ignored.');
+
+            if (typeof BigInt === 'function') {
+                bigIntClock = {
+                    now: function () {
+                        return BigInt(time) * BigInt(1e6);
+                    },
+                    units: 'ns'
+                };
+                waterfall = new Waterfall({clock: bigIntClock});
+                waterfall.start('a');
+                time = 4;
+                waterfall.end('a');
+                gui = waterfall.getGui();
+                Assert.areSame(1e6, gui.rows[0].durations[0].duration, 'BigInt clocks should be supported.');
+                Assert.areSame('bigint', typeof waterfall._msToClock(1));
+
+                // replayed times are BigInts as well, such that the waterfall can still be profiled into
+                waterfall = Waterfall.fromCalls(log, {clock: bigIntClock});
+                waterfall.start('c');
+                time = 6;
+                waterfall.end('c');
+                gui = waterfall.getGui();
+                Assert.areSame(2, gui.rows.length);
+                Assert.areSame(2e6, gui.rows[1].durations[0].duration);
+            }
+        },
+
+        'Counter tracks': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                time = 0,
+                waterfall = new Waterfall({
+                    clock: {
+                        now: function () {
+                            return time;
+                        },
+                        units: 'ms'
+                    }
+                }),
+                gui,
+                merged,
+                trace;
+
+            waterfall.start('a');
+            time = 2;
+            waterfall.counter('heap', 10, {unit: 'MB'});
+            time = 4;
+            waterfall.counter('heap', 30);
+            waterfall.counter('bytes', 100, null, {time: 1});
+            waterfall.pause();
+            waterfall.counter('heap', 50);
+            waterfall.resume();
+            time = 6;
+            waterfall.end('a');
+            Assert.areSame(6, waterfall.counter('heap', 20));
+
+            gui = waterfall.getGui();
+            Assert.areSame(2, gui.counters.length);
+            Assert.areSame('heap', gui.counters[0].name);
+            Assert.areSame(3, gui.counters[0].values.length, 'Counters should not be recorded while paused.');
+            Assert.areSame(2, gui.counters[0].values[0].time);
+            Assert.areSame(10, gui.counters[0].values[0].value);
+            Assert.areSame('MB', gui.counters[0].values[0].unit);
+            Assert.areSame(1, gui.counters[1].values[0].time);
+
+            gui = Waterfall.fromCalls(waterfall.toCalls(), {clock: {now: function () {
+                return 0;
+            }, units: 'ms'}}).getGui();
+            Assert.areSame(30, gui.counters[0].values[1].value, 'Counters should be replayed from call logs.');
+
+            merged = Waterfall.mergeWaterfalls([{name: 'first', waterfall: gui}, {name: 'second', waterfall: gui}]);
+            Assert.areSame(4, merged.counters.length);
+            Assert.areSame('second', merged.counters[2].source);
+
+            trace = Waterfall.Trace.fromWaterfall(gui);
+            Assert.areSame(30, Waterfall.Trace.toWaterfall(trace).counters[0].values[1].value,
+                'Counters should survive the Trace Event Format.');
+
+            waterfall = new Waterfall({limits: {maxCalls: 1}});
+            waterfall.event('e');
+            waterfall.counter('heap', 1);
+            Assert.isTrue(Waterfall.getSummary(waterfall.getGui()).indexOf('and 1 counter values') !== -1);
+
+            // counters have no profile key to validate
+            waterfall = new Waterfall({strict: true});
+            waterfall.counter('heap', 1);
+            Assert.areSame(0, waterfall.errors.length);
+            Assert.areSame(1, waterfall.getGui().counters.length);
+        },
+
+        'Resource usage': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                waterfall = new Waterfall({usage: true}),
+                gui,
+                buffers = [],
+                i;
+
+            waterfall.start('/alloc', {type: 'work'});
+            for (i = 0; i < 100; i++) {
+                buffers.push(new Array(1000).join('x') + i);
+            }
+            waterfall.end('/alloc');
+            gui = waterfall.getGui();
+            Assert.areSame('number', typeof gui.rows[0].usage.heapDelta);
+            Assert.isTrue(gui.rows[0].usage.cpuTime >= 0);
+            Assert.areSame('string', typeof gui.rows[0]['CPU Time'], 'Usage should be formatted like the stats.');
+            Assert.isTrue(gui.headers.indexOf('CPU Time') !== -1, 'Usage should be shown as columns.');
+            Assert.isTrue(Waterfall.getSummary(gui).indexOf('Total CPU Time') !== -1, 'Usage should be ranked in the stats.');
+            Assert.isTrue(buffers.length > 0);
+
+            // usage is replayed from the call log
+            waterfall = Waterfall.fromCalls({
+                version: 1,
+                calls: [
+                    {type: 'start', profileKey: 'a', time: 0, data: {type: 'query'}, usage: {heap: 1000, cpu: 0}},
+                    {type: 'start', profileKey: 'a:Parse', time: 1},
+                    {type: 'end', profileKey: 'a:Parse', time: 2},
+                    {type: 'end', profileKey: 'a', time: 5, usage: {heap: 4096, cpu: 2000}},
+                    {type: 'start', profileKey: 'b', time: 5, data: {type: 'query'}, usage: {heap: 4096, cpu: 2000}},
+                    {type: 'end', profileKey: 'b', time: 6, usage: {heap: 2000, cpu: 3000}}
+                ]
+            }, {
+                stats: {
+                    columns: ['Name', 'Calls', 'Total Heap Delta', 'Avg CPU Time'],
+                    statsFilter: 'Total Heap Delta > 0'
+                }
+            });
+            Assert.areSame(4096, waterfall.toCalls().calls[3].usage.heap, 'Usage should be kept in the call log.');
+            gui = waterfall.getGui();
+            Assert.areSame('3KB', gui.rows[0]['Heap Delta']);
+            Assert.areSame('2ms', gui.rows[0]['CPU Time']);
+            Assert.areSame('-2KB', gui.rows[1]['Heap Delta']);
+            Assert.areSame(3096, gui.rows[0].usage.heapDelta);
+            Assert.areSame(2, gui.rows[0].usage.cpuTime);
+            Assert.areSame(-2096, gui.rows[1].usage.heapDelta);
+            Assert.areSame('1000B', gui.stats.query['Total Heap Delta']);
+            Assert.areSame('1.5ms', gui.stats.query['Avg CPU Time']);
+            Assert.isUndefined(gui.stats.Parse, 'Durations have no usage.');
+
+            Assert.isUndefined(new Waterfall().getGui().headers[1], 'Usage should be opt-in.');
+        },
+
+        'Range events and categories': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                time = 0,
+                config = {
+                    clock: {
+                        now: function () {
+                            return time;
+                        },
+                        units: 'ms'
+                    },
+                    eventCategories: {
+                        gc: {
+                            color: '#999999',
+                            label: 'Garbage collection'
+                        }
+                    }
+                },
+                waterfall = new Waterfall(config),
+                gui,
+                merged,
+                trace;
+
+            waterfall.start('a');
+            waterfall.start('b');
+            time = 2;
+            waterfall.event('GC pause', {kind: 'minor'}, {time: 1, endTime: 3, category: 'gc'});
+            waterfall.event('cache miss', null, {profileKey: 'b'});
+            waterfall.end('b');
+            time = 4;
+            waterfall.event('retry', null, {profileKey: ['b']});
+            waterfall.event('lost', null, {profileKey: 'c'});
+            waterfall.end('a');
+
+            gui = waterfall.getGui();
+            Assert.areSame(2, gui.events.length, 'Events of unknown profiles should be global.');
+            Assert.areSame(1, gui.events[0].time);
+            Assert.areSame(3, gui.events[0].endTime);
+            Assert.areSame('gc', gui.events[0].category);
+            Assert.areSame('minor', gui.events[0].kind);
+            Assert.areSame('Garbage collection', gui.eventCategories.gc.label);
+            Assert.areSame('Profile of the event was never started.', gui.errors[0].message);
+            Assert.isUndefined(gui.rows[0].events);
+            Assert.areSame(2, gui.rows[0].details[0].events.length, 'Events should be attached to their profile.');
+            Assert.areSame('retry', gui.rows[0].details[0].events[1].type);
+
+            gui = Waterfall.fromCalls(waterfall.toCalls(), config).getGui();
+            Assert.areSame(3, gui.events[0].endTime, 'Range events should be replayed from call logs.');
+            Assert.areSame(2, gui.rows[0].details[0].events.length);
+
+            merged = Waterfall.mergeWaterfalls([gui, {waterfall: gui, offset: 10}]);
+            Assert.areSame(13, merged.events[2].endTime);
+            Assert.areSame(14, merged.rows[1].details[0].details[0].events[1].time);
+            Assert.areSame('#999999', merged.eventCategories.gc.color);
+
+            trace = Waterfall.Trace.fromWaterfall(gui);
+            gui = Waterfall.Trace.toWaterfall(trace);
+            Assert.areSame(1, gui.rows.length, 'Range events should not become rows.');
+            Assert.areSame(3, gui.events[0].endTime);
+        },
+
+        'Diff Waterfalls': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                before = {
+                    headers: ['Name'],
+                    units: 'ms',
+                    rows: [{
+                        Name: 'Request',
+                        startTime: 0,
+                        endTime: 100,
+                        durations: [{type: 'Elapsed Time', duration: 100}],
+                        details: [{
+                            Name: 'Query',
+                            type: 'db',
+                            startTime: 10,
+                            endTime: 50,
+                            durations: [{type: 'Elapsed Time', duration: 40}]
+                        }, {
+                            Name: 'Render',
+                            startTime: 50,
+                            endTime: 90,
+                            durations: [{type: 'Elapsed Time', duration: 40}]
+                        }]
+                    }]
+                },
+                after = {
+                    headers: ['Name'],
+                    units: 'ms',
+                    rows: [{
+                        Name: 'Request',
+                        startTime: 0,
+                        endTime: 150,
+                        durations: [{type: 'Elapsed Time', duration: 150}],
+                        details: [{
+                            Name: 'Query',
+                            type: 'db',
+                            startTime: 10,
+                            endTime: 90,
+                            durations: [{type: 'Elapsed Time', duration: 80}]
+                        }, {
+                            Name: 'Cache',
+                            type: 'db',
+                            startTime: 90,
+                            endTime: 95,
+                            durations: [{type: 'Elapsed Time', duration: 5}]
+                        }, {
+                            Name: 'Render',
+                            startTime: 95,
+                            endTime: 136,
+                            durations: [{type: 'Elapsed Time', duration: 41}]
+                        }]
+                    }]
+                },
+                diff = Waterfall.diff(before, after),
+                summary,
+                getStat = function (name) {
+                    var found;
+                    Y.Array.each(diff.stats, function (stat) {
+                        if (stat.Name === name) {
+                            found = stat;
+                        }
+                    });
+                    return found;
+                };
+
+            Assert.areSame(50, diff.totalDuration.delta);
+            Assert.areSame(50, diff.totalDuration.percentage);
+            Assert.isUndefined(before.stats, 'The waterfalls should not be modified.');
+            Assert.isUndefined(after.rows[0].startMs);
+            Assert.areSame('/Request/Cache', diff.added[0]);
+            Assert.areSame(0, diff.removed.length);
+
+            Assert.areSame('/Request/Query', diff.rows[1].path);
+            Assert.areSame(40, diff.rows[1].duration.delta);
+            Assert.isTrue(diff.rows[1].flagged);
+            Assert.areSame('/Request/Render', diff.rows[2].path);
+            Assert.isFalse(diff.rows[2].flagged, 'Changes below the threshold should not be flagged.');
+
+            Assert.areSame(1, getStat('db').calls.delta);
+            Assert.areSame(45, getStat('db').duration.delta);
+            Assert.areSame(100, getStat('db').calls.percentage);
+            Assert.isTrue(getStat('db').flagged);
+            Assert.areSame('changed', getStat('Render').status);
+
+            summary = Waterfall.getDiffSummary(diff);
+            Assert.isTrue(summary.indexOf('| /Request/Query ') !== -1);
+            Assert.isTrue(summary.indexOf('40ms -> 80ms (+40ms, +100.0%)') !== -1);
+            Assert.isTrue(summary.indexOf('SLOWER') !== -1);
+            Assert.isTrue(summary.indexOf('Added rows:\n  /Request/Cache') !== -1);
+
+            diff = Waterfall.diff(after, before, {threshold: 1, minDelta: '2ms'});
+            Assert.areSame('/Request/Cache', diff.removed[0]);
+            Assert.isFalse(diff.rows[2].flagged, 'Changes below the minimum delta should not be flagged.');
+            Assert.isTrue(Waterfall.getDiffSummary(diff).indexOf('FASTER') !== -1);
+        },
+
+        'Aggregate Waterfalls': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                inputs = [],
+                aggregate,
+                createGui = function (offset, queryDuration, withCache) {
+                    var time = offset,
+                        waterfall = new Waterfall({
+                            clock: {
+                                now: function () {
+                                    return time;
+                                },
+                                units: 'ms'
+                            }
+                        });
+                    waterfall.start('Request');
+                    time += 1;
+                    waterfall.start('Query:Connect');
+                    time += 1;
+                    waterfall.end('Query:Connect');
+                    waterfall.start('Query:Fetch');
+                    time += queryDuration - 1;
+                    waterfall.end('Query:Fetch');
+                    if (withCache) {
+                        waterfall.start('Cache');
+                        time += 1;
+                        waterfall.end('Cache');
+                    }
+                    waterfall.event('done');
+                    waterfall.end('Request');
+                    return waterfall;
+                };
+
+            inputs.push(createGui(0, 10).getGui());
+            inputs.push(createGui(100, 20, true).getGui());
+            inputs.push(createGui(500, 30).toCalls());
+
+            aggregate = Waterfall.aggregate(inputs);
+            Assert.areSame(3, aggregate.runs);
+            Assert.areSame(1, aggregate.rows.length);
+            Assert.areSame(3, aggregate.rows[0].Occurrences);
+            Assert.areSame(0, aggregate.rows[0].startTime, 'Times should be relative to the start of each run.');
+            Assert.areSame(22, aggregate.rows[0].endTime, 'Rows should last their median duration.');
+            Assert.areSame('Query', aggregate.rows[0].details[0].Name);
+            Assert.areSame(1, aggregate.rows[0].details[0].startTime);
+            Assert.areSame(20, aggregate.rows[0].details[0].endTime - aggregate.rows[0].details[0].startTime);
+            Assert.areSame(10, aggregate.rows[0].details[0].percentiles.duration.p10);
+            Assert.areSame(30, aggregate.rows[0].details[0].percentiles.duration.p90);
+            Assert.areSame(31, aggregate.rows[0].details[0].spread.high);
+            Assert.areSame(1, aggregate.rows[0].details[1].Occurrences);
+            Assert.areSame('Connect', aggregate.rows[0].details[0].durations[0].type);
+            Assert.areSame(20, aggregate.rows[0].details[0].durations[0].duration + aggregate.rows[0].details[0].durations[1].duration,
+                'Phases should add up to the median duration.');
+            Assert.areSame('Occurrences', aggregate.headers[aggregate.headers.length - 1]);
+            Assert.areSame(3, aggregate.events[0].occurrences);
+            Assert.areSame(22, aggregate.events[0].time);
+
+            Assert.areSame(3, aggregate.stats.Request.Calls, 'Stats should be computed over all the samples.');
+            Assert.areSame(3, aggregate.stats.Connect.Calls);
+            Assert.areSame('60ms', aggregate.stats.Query['Total Duration']);
+
+            aggregate = Waterfall.aggregate(inputs.slice(0, 2), {percentiles: [25]});
+            Assert.areSame(10, aggregate.rows[0].details[0].percentiles.duration.p25);
+            Assert.isTrue(Waterfall.getSummary(aggregate).indexOf('| Request ') !== -1);
+        },
+
+        'Performance budgets': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                time = 0,
+                waterfall = new Waterfall({
+                    clock: {
+                        now: function () {
+                            return time;
+                        },
+                        units: 'ms'
+                    },
+                    budgets: [
+                        {stat: 'Render', maxDuration: '20ms'},
+                        {stat: 'Model', maxCalls: 2, maxTotalDuration: 50},
+                        {path: 'Request/Cache', maxDuration: 1},
+                        {path: '/Request/Query:Fetch', maxDuration: '1s'},
+                        {total: true, maxDuration: '90ms'}
+                    ]
+                }),
+                gui,
+                summary,
+                i;
+
+            waterfall.start('Request');
+            for (i = 0; i < 3; i++) {
+                waterfall.start('Model ' + i, {type: 'Model'});
+                time += 20;
+                waterfall.end('Model ' + i);
+            }
+            waterfall.start('Render');
+            time += 25;
+            waterfall.end('Render');
+            waterfall.start('Render');
+            time += 5;
+            waterfall.end('Render');
+            waterfall.start('Cache');
+            time += 2;
+            waterfall.end('Cache');
+            waterfall.start('Query:Fetch');
+            time += 3;
+            waterfall.end('Query:Fetch');
+            waterfall.end('Request');
+
+            gui = waterfall.getGui();
+            Assert.areSame(5, gui.violations.length);
+            Assert.areSame('Render', gui.violations[0].stat);
+            Assert.areSame('maxDuration', gui.violations[0].check);
+            Assert.areSame(25, gui.violations[0].actual);
+            Assert.areSame(20, gui.violations[0].limit);
+            Assert.areSame('/Request/Render (1)', gui.violations[0].at);
+            Assert.areSame("'Render' took 25ms at /Request/Render (1), over its budget of 20ms.", gui.violations[0].message);
+            Assert.areSame('maxCalls', gui.violations[1].check);
+            Assert.areSame(3, gui.violations[1].actual);
+            Assert.areSame('maxTotalDuration', gui.violations[2].check);
+            Assert.areSame('Request/Cache', gui.violations[3].path);
+            Assert.isTrue(gui.violations[4].total);
+            Assert.areSame(95, gui.violations[4].actual);
+
+            Assert.areSame(1, gui.rows[0].details[3].violations.length, 'Offending rows should be marked.');
+            Assert.isUndefined(gui.rows[0].details[4].violations, 'Renamed duplicates should be checked separately.');
+
+            summary = Waterfall.getSummary(gui);
+            Assert.areSame(0, summary.indexOf('!!! 5 budget violations !!!\n'), 'Violations should be printed first.');
+            Assert.isTrue(summary.indexOf("  'Model' was called 3 times, over its budget of 2.\n") !== -1);
+
+            Assert.areSame(0, Waterfall.checkBudgets(gui, [{path: 'Request/Render', maxDuration: 30}]).length);
+            Assert.areSame(2, Waterfall.checkBudgets(gui, [{path: 'Request/Render', maxDuration: 1}]).length,
+                'Paths should match duplicate rows.');
+            Assert.isUndefined(new Waterfall().getGui().violations);
+        },
+
+        'Summary formats': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                time = 0,
+                createWaterfall = function (config) {
+                    var waterfall = new Waterfall(Y.merge({
+                            clock: {
+                                now: function () {
+                                    return time;
+                                },
+                                units: 'ms'
+                            }
+                        }, config)),
+                        i;
+
+                    time = 0;
+                    waterfall.start('Request');
+                    for (i = 0; i < 3; i++) {
+                        waterfall.start('Model ' + i, {type: 'Model'});
+                        time += 10;
+                        waterfall.end('Model ' + i);
+                    }
+                    waterfall.start('Render|Main');
+                    time += 25;
+                    waterfall.end('Render|Main');
+                    waterfall.end('Request');
+                    return waterfall;
+                },
+                waterfall = createWaterfall(),
+                gui = waterfall.getGui(),
+                lines,
+                json;
+
+            lines = Waterfall.getSummary(gui, {sort: 'calls'}).split('\n');
+            Assert.isTrue(lines[3].indexOf('| Model ') === 0, 'Stats should be sorted by calls.');
+            lines = Waterfall.getSummary(gui, {sort: 'avg', top: 2}).split('\n');
+            Assert.isTrue(lines[3].indexOf('| Request ') === 0, 'Stats should be sorted by average duration.');
+            Assert.isTrue(lines[5].indexOf('| Render|Main ') === 0);
+            Assert.areSame('Total Execution Time: 55ms', lines[7], 'Only the top stats should be shown.');
+
+            lines = waterfall.getSummary({format: 'markdown', sort: 'total', breakdown: true}).split('\n');
+            Assert.areSame('| Name | Calls | Total Duration | Self Time | Avg Duration | Min Duration | Max Duration |', lines[0]);
+            Assert.areSame('| --- | --- | --- | --- | --- | --- | --- |', lines[1]);
+            Assert.areSame(0, lines[2].indexOf('| Request | 1 | 55ms |'));
+            Assert.areSame(0, lines[3].indexOf('| Model | 3 | 30ms |'));
+            Assert.areSame(0, lines[4].indexOf('| Render\\|Main | 1 | 25ms |'), 'Table separators should be escaped.');
+            Assert.areSame('#### Calls of Model', lines[12]);
+            Assert.areSame('| Request | 10ms |', lines[16]);
+            Assert.isTrue(lines.indexOf('**Total Execution Time:** 55ms') !== -1);
+
+            lines = waterfall.getSummary({format: 'csv', sort: 'total'}).split('\n');
+            Assert.areSame(5, lines.length);
+            Assert.areSame('Name,Calls,Total Duration,Self Time,Avg Duration,Min Duration,Max Duration', lines[0]);
+            Assert.areSame('Model,3,30ms,30ms,10ms,10ms (Request),10ms (Request)', lines[2]);
+            lines = waterfall.getSummary({format: 'csv', sort: 'total', breakdown: true}).split('\n');
+            Assert.areSame(7, lines.length, 'Each call should have a row.');
+            Assert.areSame('Request,10ms', lines[4].split(',').slice(-2).join(','));
+            Assert.areSame('"a ""quoted"", name"', Waterfall.getSummary({stats: {a: {Name: 'a "quoted", name'}}}, {format: 'csv'}).split('\n')[1]);
+
+            json = JSON.parse(waterfall.getSummary({format: 'json', sort: 'calls', breakdown: true}));
+            Assert.areSame(1, json.version);
+            Assert.areSame('Model', json.stats[0].name);
+            Assert.areSame(3, json.stats[0].calls);
+            Assert.areSame(30, json.stats[0].totalMs);
+            Assert.areSame(10, json.stats[0].avgMs);
+            Assert.areSame('30ms', json.stats[0].values['Total Duration']);
+            Assert.areSame(3, json.stats[0].breakdown.length);
+            Assert.areSame(10, json.stats[0].breakdown[0].durationMs);
+            Assert.areSame('55ms', json.totalDuration);
+            Assert.isNull(json.dropped);
+            Assert.isTrue(json.sampled);
+            Assert.isUndefined(JSON.parse(waterfall.getSummary({format: 'json'})).stats[0].breakdown);
+
+            // values that are the same once formatted
+            lines = Waterfall.getSummary({
+                units: 'ms',
+                rows: [{
+                    Name: 'b',
+                    startTime: 0,
+                    endTime: 10.001,
+                    durations: [{type: 'Elapsed Time', duration: 10.001}]
+                }, {
+                    Name: 'a',
+                    startTime: 1,
+                    endTime: 11.004,
+                    durations: [{type: 'Elapsed Time', duration: 10.004}]
+                }]
+            }, {sort: 'total'}).split('\n');
+            Assert.isTrue(lines[3].indexOf('| a ') === 0, 'Stats should be sorted by their unformatted values.');
+
+            gui = createWaterfall({stats: {top: 2}}).getGui();
+            Assert.areSame('Request', gui.stats.Request.Name);
+            Assert.areSame('Model', gui.stats.Model.Name);
+            Assert.isUndefined(gui.stats['Render|Main'], 'Only the top stats should be computed.');
+        },
+
+        'Text waterfall': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                time = 0,
+                waterfall = new Waterfall({
+                    clock: {
+                        now: function () {
+                            return time;
+                        },
+                        units: 'ms'
+                    }
+                }),
+                lines;
+
+            waterfall.start('Request');
+            time += 10;
+            waterfall.start('Render:Layout');
+            time += 10;
+            waterfall.end('Render:Layout');
+            waterfall.event('load');
+            waterfall.start('Render:Paint');
+            waterfall.event('flush', null, {profileKey: 'Request'});
+            time += 20;
+            waterfall.end('Render:Paint');
+            waterfall.end('Request');
+
+            lines = waterfall.getTextWaterfall(50).split('\n');
+            Assert.areSame('Name     |0                             40ms|', lines[0]);
+            Assert.areSame('         |                 1                |', lines[1], 'Global events should be numbered.');
+            Assert.areSame('Request  |#################^################| 40ms', lines[2], 'Row events should be marked on their row.');
+            Assert.areSame('  Render |         ========%%%%%%%%%%%%%%%%%| 30ms', lines[3], 'Each duration type should have its glyph.');
+            Assert.areSame('Durations: # Elapsed Time  = Layout  % Paint', lines[5]);
+            Assert.areSame('  1 load at 20ms', lines[7]);
+            Assert.areSame('  ^ flush (Request) at 20ms', lines[8]);
+            Assert.areSame('Total Execution Time: 40ms', lines[9]);
+
+            lines = waterfall.getTextWaterfall(20, {unicode: true, colors: true}).split('\n');
+            Assert.areSame('  Ren… |', lines[3].substr(0, 8), 'Long names should be truncated.');
+            Assert.areSame('Reque… |\u001b[38;2;60;149;60m███', lines[2].substr(0, 28), 'Durations should use the GUI colors.');
+            Assert.areSame(18, lines[3].replace(/\u001b\[[0-9;]*m/g, '').indexOf('|', 8), 'Bars should be at least 10 characters wide.');
+
+            Assert.areSame('', Waterfall.getTextWaterfall({rows: []}));
+        },
+
+        'Folded stacks': function () {
+            var Waterfall = Y.mojito.Waterfall,
+                Folded = Waterfall.Folded,
+                time = 0,
+                createGui = function () {
+                    var waterfall = new Waterfall({
+                        clock: {
+                            now: function () {
+                                return time;
+                            },
+                            units: 'ms'
+                        }
+                    });
+
+                    time = 0;
+                    waterfall.start('Request');
+                    waterfall.start('Model');
+                    time += 10;
+                    waterfall.end('Model');
+                    waterfall.start('Model');
+                    time += 10;
+                    waterfall.end('Model');
+                    waterfall.start('Render; Main');
+                    time += 15;
+                    waterfall.end('Render; Main');
+                    time += 5;
+                    waterfall.end('Request');
+                    return waterfall.getGui();
+                },
+                gui = createGui();
+
+            Assert.areSame('Request 5000\n' +
+                'Request;Model (1) 10000\n' +
+                'Request;Model (2) 10000\n' +
+                'Request;Render  Main 15000\n', Folded.fromWaterfall(gui), 'Stacks should be weighted by self time in us.');
+
+            Assert.areSame('app;Request 10000\n' +
+                'app;Request;Model 40000\n' +
+                'app;Request;Render  Main 30000\n', Folded.fromWaterfall([gui, createGui()], {collapse: true, root: 'app'}),
+                'Stacks of multiple waterfalls should be combined.');
+
+            Assert.areSame('a;b 1000\n', Folded.fromWaterfall({
+                units: 's',
+                rows: [{Name: 'a', startTime: 0, endTime: 0.001, details: [{Name: 'b', startTime: 0, endTime: 0.001}]}]
+            }), 'Stacks without self time should be omitted.');
+            Assert.areSame('', Folded.fromWaterfall({rows: []}));
+        },
+
         'Test Debug Time': function () {
             var Time = Y.mojito.Waterfall.Time,
                 timeMap = {
@@ -17,6 +17,18 @@ exports.Waterfall = YUI({
         },
         'mojito-waterfall-time': {
             fullpath: path.join(__dirname, './yui_modules/time.common.js')
+        },
+        'mojito-waterfall-expression': {
+            fullpath: path.join(__dirname, './yui_modules/expression.common.js')
+        },
+        'mojito-waterfall-trace': {
+            fullpath: path.join(__dirname, './yui_modules/trace.common.js')
+        },
+        'mojito-waterfall-har': {
+            fullpath: path.join(__dirname, './yui_modules/har.common.js')
+        },
+        'mojito-waterfall-folded': {
+            fullpath: path.join(__dirname, './yui_modules/folded.common.js')
         }
     }
 }).use('waterfall').Waterfall;
\ No newline at end of file
@@ -0,0 +1,342 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint regexp: true, plusplus: true, eqeq: true */
+/*global YUI */
+
+YUI.add('mojito-waterfall-expression', function (Y, NAME) {
+    'use strict';
+
+    var OPERATORS = ['===', '!==', '==', '!=', '<=', '>=', '&&', '||', '<', '>', '+', '-', '*', '/', '%', '!', '(', ')', '?', ':'],
+        LITERALS = {
+            'true': true,
+            'false': false,
+            'null': null,
+            'undefined': undefined,
+            'NaN': NaN,
+            'Infinity': Infinity
+        },
+        BINARY_PRECEDENCE = {
+            '||': 1,
+            '&&': 2,
+            '==': 3,
+            '!=': 3,
+            '===': 3,
+            '!==': 3,
+            '<': 4,
+            '<=': 4,
+            '>': 4,
+            '>=': 4,
+            '+': 5,
+            '-': 5,
+            '*': 6,
+            '/': 6,
+            '%': 6
+        },
+        ESCAPES = {
+            n: '\n',
+            t: '\t',
+            r: '\r'
+        },
+        NUMBER_REGEX = /^(\d+(\.\d*)?|\.\d+)([eE][+\-]?\d+)?/,
+        IDENTIFIER_REGEX = /^[A-Za-z_$][\w$]*(\s+[\w$]+)*/,
+        // parsed expressions, the oldest are evicted once there are more than CACHE_SIZE
+        CACHE_SIZE = 100,
+        cache = {},
+        cachedExpressions = [],
+
+        parseError = function (message, position) {
+            var error = new Error(message + ' at position ' + position + '.');
+            error.position = position;
+            return error;
+        },
+
+        unexpectedToken = function (token) {
+            if (token.type === 'end') {
+                return parseError('Unexpected end of expression', token.position);
+            }
+            return parseError('Unexpected token "' + (token.type === 'variable' ? token.name : String(token.value)) + '"', token.position);
+        },
+
+        matchOperator = function (expression, position) {
+            var operator = null;
+            Y.Array.some(OPERATORS, function (op) {
+                if (expression.substr(position, op.length) === op) {
+                    operator = op;
+                    return true;
+                }
+            });
+            return operator;
+        },
+
+        /**
+         * Breaks an expression into number, string, identifier and operator tokens.
+         * Identifiers can contain spaces (e.g. 'Total Duration') in order to match stat names.
+         */
+        tokenize = function (expression) {
+            var tokens = [],
+                position = 0,
+                numberMatch,
+                identifierMatch,
+                quote,
+                start,
+                value,
+                operator;
+
+            while (position < expression.length) {
+                numberMatch = NUMBER_REGEX.exec(expression.substring(position));
+                identifierMatch = IDENTIFIER_REGEX.exec(expression.substring(position));
+
+                if (/\s/.test(expression.charAt(position))) {
+                    position++;
+                } else if (numberMatch) {
+                    tokens.push({
+                        type: 'literal',
+                        value: Number(numberMatch[0]),
+                        position: position
+                    });
+                    position += numberMatch[0].length;
+                } else if (identifierMatch) {
+                    value = identifierMatch[0].replace(/\s+/g, ' ');
+                    tokens.push(LITERALS.hasOwnProperty(value) ? {
+                        type: 'literal',
+                        value: LITERALS[value],
+                        position: position
+                    } : {
+                        type: 'variable',
+                        name: value,
+                        position: position
+                    });
+                    position += identifierMatch[0].length;
+                } else if (expression.charAt(position) === '\'' || expression.charAt(position) === '"') {
+                    quote = expression.charAt(position);
+                    value = '';
+                    start = position++;
+                    while (expression.charAt(position) !== quote) {
+                        if (position >= expression.length) {
+                            throw parseError('Unterminated string', start);
+                        }
+                        if (expression.charAt(position) === '\\') {
+                            position++;
+                            value += ESCAPES[expression.charAt(position)] || expression.charAt(position);
+                        } else {
+                            value += expression.charAt(position);
+                        }
+                        position++;
+                    }
+                    position++;
+                    tokens.push({
+                        type: 'literal',
+                        value: value,
+                        position: start
+                    });
+                } else {
+                    operator = matchOperator(expression, position);
+                    if (!operator) {
+                        throw parseError('Unexpected character "' + expression.charAt(position) + '"', position);
+                    }
+                    tokens.push({
+                        type: 'operator',
+                        value: operator,
+                        position: position
+                    });
+                    position += operator.length;
+                }
+            }
+
+            tokens.push({
+                type: 'end',
+                position: position
+            });
+
+            return tokens;
+        },
+
+        /**
+         * Parses an expression into a tree of nodes using precedence climbing.
+         */
+        parse = function (expression) {
+            var tokens = tokenize(expression),
+                index = 0,
+                peek = function (value) {
+                    return tokens[index].type === 'operator' && tokens[index].value === value;
+                },
+                expect = function (value) {
+                    if (!peek(value)) {
+                        throw parseError('Expected "' + value + '"', tokens[index].position);
+                    }
+                    index++;
+                },
+                parseConditional,
+                parseBinary,
+                parseUnary;
+
+            parseUnary = function () {
+                var token = tokens[index++],
+                    node;
+
+                if (token.type === 'literal' || token.type === 'variable') {
+                    return token;
+                }
+                if (token.type === 'operator' && (token.value === '!' || token.value === '-' || token.value === '+')) {
+                    return {
+                        type: 'unary',
+                        operator: token.value,
+                        argument: parseUnary()
+                    };
+                }
+                if (token.type === 'operator' && token.value === '(') {
+                    node = parseConditional();
+                    expect(')');
+                    return node;
+                }
+                throw unexpectedToken(token);
+            };
+
+            parseBinary = function (minPrecedence) {
+                var left = parseUnary(),
+                    token = tokens[index],
+                    precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+
+                while (precedence !== undefined && precedence >= minPrecedence) {
+                    index++;
+                    left = {
+                        type: 'binary',
+                        operator: token.value,
+                        left: left,
+                        right: parseBinary(precedence + 1)
+                    };
+                    token = tokens[index];
+                    precedence = token.type === 'operator' ? BINARY_PRECEDENCE[token.value] : undefined;
+                }
+
+                return left;
+            };
+
+            parseConditional = function () {
+                var node = parseBinary(1),
+                    consequent;
+
+                if (peek('?')) {
+                    index++;
+                    consequent = parseConditional();
+                    expect(':');
+                    node = {
+                        type: 'conditional',
+                        test: node,
+                        consequent: consequent,
+                        alternate: parseConditional()
+                    };
+                }
+
+                return node;
+            };
+
+            expression = parseConditional();
+            if (tokens[index].type !== 'end') {
+                throw unexpectedToken(tokens[index]);
+            }
+
+            return expression;
+        },
+
+        evaluate = function (node, values) {
+            var left,
+                right;
+
+            switch (node.type) {
+            case 'literal':
+                return node.value;
+            case 'variable':
+                // only own properties are visible to expressions
+                return values && Object.prototype.hasOwnProperty.call(values, node.name) ? values[node.name] : undefined;
+            case 'unary':
+                right = evaluate(node.argument, values);
+                return node.operator === '!' ? !right : node.operator === '-' ? -right : +right;
+            case 'conditional':
+                return evaluate(node.test, values) ? evaluate(node.consequent, values) : evaluate(node.alternate, values);
+            }
+
+            left = evaluate(node.left, values);
+
+            // logical operators short circuit
+            if (node.operator === '&&') {
+                return left && evaluate(node.right, values);
+            }
+            if (node.operator === '||') {
+                return left || evaluate(node.right, values);
+            }
+
+            right = evaluate(node.right, values);
+
+            switch (node.operator) {
+            case '==':
+                return left == right;
+            case '!=':
+                return left != right;
+            case '===':
+                return left === right;
+            case '!==':
+                return left !== right;
+            case '<':
+                return left < right;
+            case '<=':
+                return left <= right;
+            case '>':
+                return left > right;
+            case '>=':
+                return left >= right;
+            case '+':
+                return left + right;
+            case '-':
+                return left - right;
+            case '*':
+                return left * right;
+            case '/':
+                return left / right;
+            case '%':
+                return left % right;
+            }
+        };
+
+    /**
+     * Evaluates filter expressions such as "Calls > 1 && Name !== 'Render'" without using eval.
+     * Supports literals, variables (which may contain spaces), parentheses, the conditional
+     * operator and the logical, comparison and arithmetic operators; nothing else can be executed.
+     */
+    Y.namespace('mojito.Waterfall').Expression = {
+
+        /**
+         * Parses an expression. Parsed expressions are cached.
+         * @param {String} expression
+         * @return {Object} The root node of the parsed expression.
+         * @throws {Error} If the expression is invalid; the error includes the position of the problem.
+         */
+        parse: function (expression) {
+            // expressions such as 'hasOwnProperty' are cache keys too
+            if (!Object.prototype.hasOwnProperty.call(cache, expression)) {
+                cache[expression] = parse(expression);
+                cachedExpressions.push(expression);
+                if (cachedExpressions.length > CACHE_SIZE) {
+                    delete cache[cachedExpressions.shift()];
+                }
+            }
+            return cache[expression];
+        },
+
+        /**
+         * Evaluates an expression, binding its variables to the values with the same name.
+         * @param {String} expression
+         * @param {Object} values
+         * @return {Any} The result of the expression.
+         * @throws {Error} If the expression is invalid.
+         */
+        evaluate: function (expression, values) {
+            return evaluate(this.parse(expression), values);
+        }
+    };
+
+});
@@ -0,0 +1,81 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*global YUI */
+
+YUI.add('mojito-waterfall-folded', function (Y, NAME) {
+    'use strict';
+
+    // suffix that computeStats adds to the names of siblings with the same name
+    var SIBLING_SUFFIX_REGEX = / \(\d+\)$/,
+        // characters that would break the frames or the lines of a stack
+        FRAME_REGEX = /[;\r\n]/g;
+
+    /**
+     * Converts waterfalls into the folded stack format of Brendan Gregg's FlameGraph, which speedscope and
+     * most flame graph viewers also read: a line per stack with its frames separated by semicolons, followed
+     * by its weight, e.g. 'Request;Render;Controller 1234'.
+     * See https://github.com/brendangregg/FlameGraph
+     */
+    Y.namespace('mojito.Waterfall').Folded = {
+
+        /**
+         * Converts GUI-format waterfalls (as returned by getGui) into folded stacks. Each row is a frame whose
+         * stack is the path of row names from its top level row, weighted by the self time of the row in µs,
+         * i.e. its duration minus the time covered by its children. Identical stacks, including those of
+         * different waterfalls, are combined by adding their weights; stacks without self time are omitted.
+         * @param {Object|Array} waterfalls A waterfall or an array of waterfalls.
+         * @param {Object} options Optional, {collapse: true to remove the ' (1)', ' (2)'... suffixes that
+         *     computeStats adds to siblings with the same name, such that their time is combined,
+         *     root: name of a frame added at the bottom of every stack}.
+         * @return {String} The stacks, a line each, in order of first appearance.
+         */
+        fromWaterfall: function (waterfalls, options) {
+            options = options || {};
+
+            var weights = {},
+                stacks = [],
+                str = '',
+                getFrame = function (name) {
+                    var frame = String(name).replace(FRAME_REGEX, ' ');
+                    return options.collapse ? frame.replace(SIBLING_SUFFIX_REGEX, '') : frame;
+                },
+                addRows = function (rows, parentStack, units) {
+                    Y.Array.each(rows, function (row) {
+                        var stack = (parentStack ? parentStack + ';' : '') + getFrame(row.Name),
+                            weight = Math.round(Y.mojito.Waterfall.getSelfTime(row, units) * 1000);
+
+                        if (weight > 0) {
+                            if (!weights.hasOwnProperty(stack)) {
+                                weights[stack] = 0;
+                                stacks.push(stack);
+                            }
+                            weights[stack] += weight;
+                        }
+
+                        if (Y.Lang.isArray(row.details)) {
+                            addRows(row.details, stack, units);
+                        }
+                    });
+                };
+
+            Y.Array.each(Y.Lang.isArray(waterfalls) ? waterfalls : [waterfalls], function (waterfall) {
+                addRows(waterfall.rows, options.root !== undefined ? getFrame(options.root) : '', waterfall.units || '');
+            });
+
+            Y.Array.each(stacks, function (stack) {
+                str += stack + ' ' + weights[stack] + '\n';
+            });
+
+            return str;
+        }
+    };
+
+}, '0.1.0', {
+    requires: [
+        'mojito-waterfall'
+    ]
+});
@@ -0,0 +1,288 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint plusplus: true */
+/*global YUI */
+
+YUI.add('mojito-waterfall-har', function (Y, NAME) {
+    'use strict';
+
+    // HAR timing phases in order, and the duration types they map to
+    var PHASES = [
+            ['blocked', 'Blocked'],
+            ['dns', 'DNS'],
+            ['connect', 'Connect'],
+            ['send', 'Send'],
+            ['wait', 'Wait'],
+            ['receive', 'Receive']
+        ],
+        PAGE_TIMINGS = {
+            onContentLoad: ['onContentLoad', 'DOMContentLoaded'],
+            onLoad: ['onLoad', 'load']
+        },
+        HEADERS = ['Name', 'Method', 'Status', 'Type', 'Size'];
+
+    /**
+     * Converts waterfalls to and from HAR 1.2 (HTTP Archive).
+     * See http://www.softwareishard.com/blog/har-12-spec/
+     */
+    Y.namespace('mojito.Waterfall').HAR = {
+
+        /**
+         * Converts a HAR into a GUI-format waterfall. Each entry becomes a row whose durations are the
+         * entry's timing phases; if the HAR has more than one page, the entries are grouped under a row
+         * per page. Page timings become events.
+         * @param {Object} har
+         * @param {Object} config Optional configuration, used for the headers and to compute the stats.
+         * @return {Object} The waterfall.
+         */
+        toWaterfall: function (har, config) {
+            var log = har.log || har,
+                pages = log.pages || [],
+                entries = log.entries || [],
+                groupByPage = pages.length > 1,
+                pageRows = {},
+                waterfall = {
+                    headers: (config && config.headers) || HEADERS.slice(),
+                    rows: [],
+                    units: 'ms',
+                    events: []
+                },
+                origin;
+
+            Y.Array.each(pages.concat(entries), function (item) {
+                var time = Date.parse(item.startedDateTime);
+                origin = origin === undefined || time < origin ? time : origin;
+            });
+
+            Y.Array.each(pages, function (page) {
+                var pageStart = Date.parse(page.startedDateTime) - origin;
+
+                Y.Object.each(page.pageTimings, function (time, timing) {
+                    if (PAGE_TIMINGS[timing] && typeof time === 'number' && time >= 0) {
+                        waterfall.events.push({
+                            type: groupByPage ? (page.title || page.id) + ': ' + timing : timing,
+                            time: pageStart + time
+                        });
+                    }
+                });
+
+                if (groupByPage) {
+                    pageRows[page.id] = {
+                        Name: page.title || page.id,
+                        details: []
+                    };
+                    waterfall.rows.push(pageRows[page.id]);
+                }
+            });
+
+            Y.Array.each(entries, function (entry) {
+                var startTime = Date.parse(entry.startedDateTime) - origin,
+                    content = entry.response && entry.response.content,
+                    timings = entry.timings || {},
+                    totalDuration = 0,
+                    pageRow = pageRows[entry.pageref],
+                    row = {
+                        Name: entry.request && entry.request.url,
+                        url: entry.request && entry.request.url,
+                        Method: entry.request && entry.request.method,
+                        Status: entry.response && entry.response.status,
+                        Type: content && content.mimeType,
+                        Size: content && content.size,
+                        startTime: startTime,
+                        endTime: startTime + (entry.time || 0),
+                        durations: []
+                    };
+
+                // HAR uses -1 for phases that do not apply
+                Y.Array.each(PHASES, function (phase) {
+                    if (typeof timings[phase[0]] === 'number' && timings[phase[0]] >= 0) {
+                        row.durations.push({
+                            type: phase[1],
+                            duration: timings[phase[0]]
+                        });
+                        totalDuration += timings[phase[0]];
+                    }
+                });
+
+                if (row.durations.length === 0) {
+                    row.durations.push({
+                        type: 'Elapsed Time',
+                        duration: entry.time || 0
+                    });
+                } else if (totalDuration < entry.time) {
+                    row.durations.push({
+                        type: 'Other',
+                        duration: entry.time - totalDuration
+                    });
+                }
+
+                if (pageRow) {
+                    pageRow.details.push(row);
+                    pageRow.startTime = pageRow.startTime === undefined ? row.startTime : Math.min(pageRow.startTime, row.startTime);
+                    pageRow.endTime = pageRow.endTime === undefined ? row.endTime : Math.max(pageRow.endTime, row.endTime);
+                } else {
+                    waterfall.rows.push(row);
+                }
+            });
+
+            // page rows span their entries; pages without entries are dropped
+            Y.Array.each(pages, function (page) {
+                var pageRow = pageRows[page.id];
+                if (pageRow && pageRow.details.length === 0) {
+                    waterfall.rows.splice(waterfall.rows.indexOf(pageRow), 1);
+                } else if (pageRow) {
+                    pageRow.durations = [{
+                        type: 'Elapsed Time',
+                        duration: pageRow.endTime - pageRow.startTime
+                    }];
+                }
+            });
+
+            waterfall.stats = Y.mojito.Waterfall.computeStats(waterfall, config);
+
+            return waterfall;
+        },
+
+        /**
+         * Converts the rows of a GUI-format waterfall that represent HTTP calls, i.e. that have a url (or URL),
+         * into a HAR with a single page. Durations named after HAR timing phases become the entry's timings;
+         * any other time is reported as wait time. The method, status, mime type and size are taken from the
+         * row's Method, Status, Type and Size (or method, status, mimeType and size) data.
+         * @param {Object} waterfall
+         * @param {Object} options Optional, {startedDateTime: Date or ms of the start of the waterfall,
+         *     title: page title}.
+         * @return {Object} The HAR.
+         */
+        fromWaterfall: function (waterfall, options) {
+            options = options || {};
+
+            var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+                unitMs = timeToMs('1' + (waterfall.units || 'ms')),
+                startedDateTime = options.startedDateTime !== undefined ? new Date(options.startedDateTime).getTime() : new Date().getTime(),
+                pageTimings = {
+                    onContentLoad: -1,
+                    onLoad: -1
+                },
+                entries = [],
+                toMs = function (time) {
+                    return typeof time === 'number' ? time * unitMs : timeToMs(time);
+                },
+                addEntries = function (rows) {
+                    Y.Array.each(rows, function (row) {
+                        var url = row.url || row.URL,
+                            timings = {
+                                blocked: -1,
+                                dns: -1,
+                                connect: -1,
+                                send: 0,
+                                wait: 0,
+                                receive: 0,
+                                ssl: -1
+                            },
+                            time = 0,
+                            content = {
+                                size: Number(row.Size !== undefined ? row.Size : row.size) || 0,
+                                mimeType: row.Type || row.mimeType || ''
+                            };
+
+                        if (Y.Lang.isArray(row.details)) {
+                            addEntries(row.details);
+                        }
+                        if (!url) {
+                            return;
+                        }
+
+                        Y.Array.each(row.durations, function (duration) {
+                            var ms = toMs(duration.duration),
+                                phase;
+
+                            Y.Array.some(PHASES, function (p) {
+                                if (String(duration.type).toLowerCase() === p[0]) {
+                                    phase = p[0];
+                                    return true;
+                                }
+                            });
+
+                            if (String(duration.type).toLowerCase() === 'ssl') {
+                                // ssl time is included in the connect time
+                                timings.ssl = ms;
+                                phase = 'connect';
+                            }
+
+                            phase = phase || 'wait';
+                            timings[phase] = Math.max(timings[phase], 0) + ms;
+                            time += ms;
+                        });
+
+                        entries.push({
+                            pageref: 'page_1',
+                            startedDateTime: new Date(startedDateTime + toMs(row.startTime)).toISOString(),
+                            time: time,
+                            request: {
+                                method: row.Method || row.method || 'GET',
+                                url: url,
+                                httpVersion: 'HTTP/1.1',
+                                cookies: [],
+                                headers: [],
+                                queryString: [],
+                                headersSize: -1,
+                                bodySize: -1
+                            },
+                            response: {
+                                status: Number(row.Status !== undefined ? row.Status : row.status) || 0,
+                                statusText: '',
+                                httpVersion: 'HTTP/1.1',
+                                cookies: [],
+                                headers: [],
+                                content: content,
+                                redirectURL: '',
+                                headersSize: -1,
+                                bodySize: content.size
+                            },
+                            cache: {},
+                            timings: timings
+                        });
+                    });
+                };
+
+            addEntries(waterfall.rows);
+            entries.sort(function (a, b) {
+                return Date.parse(a.startedDateTime) - Date.parse(b.startedDateTime);
+            });
+
+            Y.Array.each(waterfall.events, function (event) {
+                Y.Object.each(PAGE_TIMINGS, function (eventTypes, timing) {
+                    if (eventTypes.indexOf(event.type) !== -1 && pageTimings[timing] === -1) {
+                        pageTimings[timing] = toMs(event.time);
+                    }
+                });
+            });
+
+            return {
+                log: {
+                    version: '1.2',
+                    creator: {
+                        name: 'mojito-waterfall',
+                        version: '0.0.3'
+                    },
+                    pages: [{
+                        startedDateTime: new Date(startedDateTime).toISOString(),
+                        id: 'page_1',
+                        title: options.title || '',
+                        pageTimings: pageTimings
+                    }],
+                    entries: entries
+                }
+            };
+        }
+    };
+
+}, '0.1.0', {
+    requires: [
+        'mojito-waterfall'
+    ]
+});
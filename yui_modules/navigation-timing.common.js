@@ -0,0 +1,152 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint browser: true, nomen: true, plusplus: true */
+/*global YUI */
+
+YUI.add('mojito-waterfall-navigation-timing', function (Y, NAME) {
+    'use strict';
+
+    // [duration type, start mark, end mark]
+    var NAVIGATION_PHASES = [
+            ['Redirect', 'redirectStart', 'redirectEnd'],
+            ['DNS', 'domainLookupStart', 'domainLookupEnd'],
+            ['Connect', 'connectStart', 'connectEnd'],
+            ['Request', 'requestStart', 'responseStart'],
+            ['Response', 'responseStart', 'responseEnd'],
+            ['DOM Processing', 'responseEnd', 'domComplete'],
+            ['Load Event', 'loadEventStart', 'loadEventEnd']
+        ],
+        RESOURCE_PHASES = NAVIGATION_PHASES.slice(0, 5),
+        // [event type, mark]
+        NAVIGATION_EVENTS = [
+            ['DOMContentLoaded', 'domContentLoadedEventStart'],
+            ['load', 'loadEventStart']
+        ],
+        PAINT_EVENTS = {
+            'first-paint': 'first paint',
+            'first-contentful-paint': 'first contentful paint'
+        };
+
+    /**
+     * Populates a waterfall from the browser's Navigation, Resource and Paint Timing. The navigation becomes
+     * a 'Navigation' row and each resource a row under 'Resources', with their phases (DNS, connect, request,
+     * response, DOM processing...) as durations. DOMContentLoaded, load and paints become events. Times are
+     * converted to the waterfall's clock, such that the rows line up with manually profiled rows.
+     */
+    Y.namespace('mojito.Waterfall').NavigationTiming = {
+
+        /**
+         * Adds the timing of the page to the waterfall. Should be called after the load event has ended;
+         * calling it again only adds the resources that were loaded since.
+         * @param {Waterfall} waterfall
+         * @param {Object} options Optional, {navigation: false to skip the navigation and its events,
+         *     resources: false to skip resources, paint: false to skip paint events,
+         *     performance: object to read the timing from, defaults to window.performance}.
+         * @return {Boolean} Whether any timing was available.
+         */
+        collect: function (waterfall, options) {
+            options = options || {};
+
+            var performance = options.performance || (typeof window === 'object' ? window.performance : undefined),
+                getEntries = function (type) {
+                    return performance.getEntriesByType ? performance.getEntriesByType(type) || [] : [];
+                },
+                navigation,
+                timing,
+                offset,
+                collected,
+                toClock = function (time) {
+                    return waterfall._msToClock(time + offset);
+                },
+                addPhases = function (profileKey, phases, getMark, data) {
+                    var added = false;
+                    Y.Array.each(phases, function (phase) {
+                        var start = getMark(phase[1]),
+                            end = getMark(phase[2]);
+                        if (start !== undefined && end !== undefined && end > start) {
+                            waterfall.start(profileKey + ':' + phase[0], data, {time: toClock(start)});
+                            waterfall.end(profileKey + ':' + phase[0], null, {time: toClock(end)});
+                            added = true;
+                        }
+                    });
+                    return added;
+                };
+
+            if (!performance || (!performance.now && !performance.timing)) {
+                return false;
+            }
+
+            navigation = getEntries('navigation')[0];
+            timing = performance.timing;
+
+            // offset from the performance timeline to the waterfall's clock in ms
+            offset = waterfall._clockToMs(waterfall._now()) -
+                (performance.now ? performance.now() : new Date().getTime() - timing.navigationStart);
+
+            collected = waterfall._navigationTiming = waterfall._navigationTiming || {
+                navigation: false,
+                resources: 0
+            };
+
+            if (options.navigation !== false && !collected.navigation && (navigation || timing)) {
+                // Navigation Timing 2 marks are relative to the time origin, the legacy marks are epoch times
+                // and 0 when they do not apply
+                collected.navigation = addPhases('/Navigation', NAVIGATION_PHASES, function (mark) {
+                    if (navigation) {
+                        return navigation[mark] > 0 ? navigation[mark] : undefined;
+                    }
+                    return timing[mark] ? timing[mark] - timing.navigationStart : undefined;
+                }, {
+                    level: 'browser',
+                    url: navigation ? navigation.name : undefined
+                });
+
+                Y.Array.each(NAVIGATION_EVENTS, function (event) {
+                    var time = navigation ? navigation[event[1]] : timing[event[1]] && timing[event[1]] - timing.navigationStart;
+                    if (time > 0) {
+                        waterfall.event(event[0], null, {time: toClock(time)});
+                    }
+                });
+
+                if (options.paint !== false) {
+                    Y.Array.each(getEntries('paint'), function (paint) {
+                        waterfall.event(PAINT_EVENTS[paint.name] || paint.name, null, {time: toClock(paint.startTime)});
+                    });
+                }
+            }
+
+            if (options.resources !== false) {
+                Y.Array.each(getEntries('resource').slice(collected.resources), function (resource) {
+                    var profileKey = '/Resources/Resource ' + (++collected.resources),
+                        data = {
+                            Name: resource.name,
+                            url: resource.name,
+                            Type: resource.initiatorType,
+                            Size: resource.transferSize,
+                            level: 'browser'
+                        },
+                        hasPhases = addPhases(profileKey, RESOURCE_PHASES, function (mark) {
+                            return resource[mark] > 0 ? resource[mark] : undefined;
+                        }, data);
+
+                    // cross origin resources only expose their start and end
+                    if (!hasPhases) {
+                        waterfall.start(profileKey, data, {time: toClock(resource.startTime)});
+                        waterfall.end(profileKey, null, {time: toClock(resource.responseEnd || resource.startTime + resource.duration)});
+                    }
+                });
+            }
+
+            return !!(navigation || timing || collected.resources);
+        }
+    };
+
+}, '0.1.0', {
+    requires: [
+        'mojito-waterfall'
+    ]
+});
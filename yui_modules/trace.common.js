@@ -0,0 +1,420 @@
+/*
+ * Copyright (c) 2013, Yahoo! Inc. All rights reserved.
+ * Copyrights licensed under the New BSD License.
+ * See the accompanying LICENSE file for terms.
+ */
+
+/*jslint plusplus: true */
+/*global YUI */
+
+YUI.add('mojito-waterfall-trace', function (Y, NAME) {
+    'use strict';
+
+    var ROW_CATEGORY = 'waterfall',
+        DURATION_CATEGORY = 'waterfall.duration',
+        EVENT_CATEGORY = 'waterfall.event',
+        COUNTER_CATEGORY = 'waterfall.counter',
+        // row properties that are part of the waterfall structure rather than row data
+        ROW_PROPERTIES = ['Name', 'startTime', 'endTime', 'startMs', 'endMs', 'critical', 'violations', 'durations', 'details', 'events'],
+        EVENT_PROPERTIES = ['type', 'time', 'endTime', 'color'];
+
+    /**
+     * Converts waterfalls to and from the Trace Event Format used by chrome://tracing,
+     * Perfetto and speedscope.
+     * See https://docs.google.com/document/d/1CvAClvFfyA5R-PhYUmn5OOQtYMH4h6I0nSsKchNAySU
+     */
+    Y.namespace('mojito.Waterfall').Trace = {
+
+        /**
+         * Converts a GUI-format waterfall (as returned by getGui) into a trace. Each row becomes a complete
+         * ('X') event with the row data as its args, and each of its durations becomes a complete event nested
+         * inside it. Child rows are nested inside their parents on the same thread; rows that overlap a sibling,
+         * including top level rows, are placed on another thread, with the id of their parent row as parentId.
+         * Waterfall events become global instant ('i') events, or complete events if they have an end time,
+         * and counter values become counter ('C') events.
+         * @param {Object} waterfall
+         * @param {Object} options Optional, {name: process name, pid: process id}.
+         * @return {Object} The trace, in the JSON object format.
+         */
+        fromWaterfall: function (waterfall, options) {
+            options = options || {};
+
+            var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+                unitMs = timeToMs('1' + (waterfall.units || 'ms')),
+                pid = options.pid || 1,
+                traceEvents = [],
+                laneEndTimes = [],
+                rowId = 0,
+                toUs = function (time) {
+                    return (typeof time === 'number' ? time * unitMs : timeToMs(time)) * 1000;
+                },
+                getArgs = function (object, ignoredProperties) {
+                    var args = {};
+                    Y.Object.each(object, function (value, property) {
+                        if (ignoredProperties.indexOf(property) === -1) {
+                            args[property] = value;
+                        }
+                    });
+                    return args;
+                },
+                getEnd = function (row) {
+                    var end = toUs(row.startTime);
+                    Y.Array.each(row.durations, function (duration) {
+                        end += toUs(duration.duration);
+                    });
+                    return end;
+                },
+                // returns the first thread (lane) that is free at a time, and takes it until the end of the row
+                takeLane = function (row) {
+                    var ts = toUs(row.startTime),
+                        lane = 0;
+
+                    while (lane < laneEndTimes.length && laneEndTimes[lane] > ts) {
+                        lane++;
+                    }
+                    if (lane === laneEndTimes.length) {
+                        traceEvents.push({
+                            name: 'thread_name',
+                            ph: 'M',
+                            pid: pid,
+                            tid: lane + 1,
+                            args: {
+                                name: String(row.Name)
+                            }
+                        });
+                    }
+                    laneEndTimes[lane] = getEnd(row);
+                    return lane + 1;
+                },
+                addRow = function (row, tid, parentId) {
+                    var ts = toUs(row.startTime),
+                        phaseTs = ts,
+                        dur = getEnd(row) - ts,
+                        durations = row.durations || [],
+                        id = ++rowId,
+                        traceEvent = {
+                            name: String(row.Name),
+                            cat: ROW_CATEGORY,
+                            ph: 'X',
+                            ts: ts,
+                            dur: dur,
+                            pid: pid,
+                            tid: tid,
+                            id: id,
+                            args: getArgs(row, ROW_PROPERTIES)
+                        },
+                        childrenEnd = ts;
+
+                    if (parentId !== undefined) {
+                        traceEvent.parentId = parentId;
+                    }
+                    traceEvents.push(traceEvent);
+
+                    // a single 'Elapsed Time' duration is the row itself
+                    if (durations.length > 1 || (durations.length === 1 && durations[0].type !== 'Elapsed Time')) {
+                        Y.Array.each(durations, function (duration) {
+                            var phaseDur = toUs(duration.duration);
+                            traceEvents.push({
+                                name: duration.type,
+                                cat: DURATION_CATEGORY,
+                                ph: 'X',
+                                ts: phaseTs,
+                                dur: phaseDur,
+                                pid: pid,
+                                tid: tid,
+                                args: {}
+                            });
+                            phaseTs += phaseDur;
+                        });
+                    }
+
+                    // children that overlap a previous sibling cannot nest on the same thread
+                    if (Y.Lang.isArray(row.details)) {
+                        Y.Array.each(row.details.slice().sort(function (a, b) {
+                            return toUs(a.startTime) - toUs(b.startTime);
+                        }), function (childRow) {
+                            if (toUs(childRow.startTime) >= childrenEnd) {
+                                childrenEnd = getEnd(childRow);
+                                addRow(childRow, tid);
+                            } else {
+                                addRow(childRow, takeLane(childRow), id);
+                            }
+                        });
+                    }
+                },
+                rows = (waterfall.rows || []).slice();
+
+            traceEvents.push({
+                name: 'process_name',
+                ph: 'M',
+                pid: pid,
+                tid: 0,
+                args: {
+                    name: options.name || 'Mojito'
+                }
+            });
+
+            rows.sort(function (a, b) {
+                return toUs(a.startTime) - toUs(b.startTime);
+            });
+
+            // assign top level rows to the first thread (lane) that is free
+            Y.Array.each(rows, function (row) {
+                addRow(row, takeLane(row));
+            });
+
+            Y.Array.each(waterfall.events, function (event) {
+                var traceEvent = {
+                    name: String(event.type),
+                    cat: EVENT_CATEGORY,
+                    ph: 'i',
+                    s: 'g',
+                    ts: toUs(event.time),
+                    pid: pid,
+                    tid: 1,
+                    args: getArgs(event, EVENT_PROPERTIES)
+                };
+                if (event.endTime !== undefined) {
+                    traceEvent.ph = 'X';
+                    traceEvent.dur = toUs(event.endTime) - traceEvent.ts;
+                    delete traceEvent.s;
+                }
+                traceEvents.push(traceEvent);
+            });
+
+            Y.Array.each(waterfall.counters, function (counter) {
+                Y.Array.each(counter.values, function (value) {
+                    traceEvents.push({
+                        name: String(counter.name),
+                        cat: COUNTER_CATEGORY,
+                        ph: 'C',
+                        ts: toUs(value.time),
+                        pid: pid,
+                        tid: 1,
+                        args: {
+                            value: value.value
+                        }
+                    });
+                });
+            });
+
+            return {
+                traceEvents: traceEvents,
+                displayTimeUnit: 'ms',
+                otherData: {
+                    headers: waterfall.headers
+                }
+            };
+        },
+
+        /**
+         * Converts a trace into a GUI-format waterfall. Complete ('X') events and begin/end ('B'/'E') pairs
+         * become rows, nested according to their containment within each thread. Instant events become
+         * waterfall events and counter ('C') events become counter tracks, one per counter and series.
+         * Rows exported on another thread than their parent, which have a parentId, are nested in their parent
+         * again. Event args become row data.
+         * @param {Object|Array} trace The trace in either the JSON object or the JSON array format.
+         * @param {Object} config Optional configuration, used for the headers and to compute the stats.
+         * @return {Object} The waterfall.
+         */
+        toWaterfall: function (trace, config) {
+            var traceEvents = Y.Lang.isArray(trace) ? trace : trace.traceEvents || [],
+                waterfall = {
+                    headers: (config && config.headers) || (trace.otherData && trace.otherData.headers) || ['Name'],
+                    rows: [],
+                    units: 'ms',
+                    events: [],
+                    counters: []
+                },
+                counters = {},
+                spans = {},
+                spansById = {},
+                orphans = [],
+                rootSpans = [],
+                instants = [],
+                open = {},
+                origin,
+                createRow;
+
+            Y.Array.each(traceEvents, function (event) {
+                var thread = event.pid + ':' + event.tid,
+                    begin;
+
+                if (event.ts !== undefined && event.ph !== 'M') {
+                    origin = origin === undefined ? event.ts : Math.min(origin, event.ts);
+                }
+
+                if (event.ph === 'X' && event.cat === EVENT_CATEGORY) {
+                    // range events exported by fromWaterfall
+                    instants.push(event);
+                } else if (event.ph === 'X' || event.ph === 'E') {
+                    if (event.ph === 'E') {
+                        begin = open[thread] && open[thread].pop();
+                        if (!begin) {
+                            return;
+                        }
+                        event = Y.merge(begin, {
+                            args: Y.merge(begin.args, event.args),
+                            dur: event.ts - begin.ts
+                        });
+                    }
+                    spans[thread] = spans[thread] || [];
+                    spans[thread].push({
+                        event: event,
+                        start: event.ts,
+                        end: event.ts + (event.dur || 0),
+                        phases: []
+                    });
+                    if (event.id !== undefined && event.cat === ROW_CATEGORY) {
+                        spansById[event.id] = spans[thread][spans[thread].length - 1];
+                    }
+                } else if (event.ph === 'B') {
+                    open[thread] = open[thread] || [];
+                    open[thread].push(event);
+                } else if (event.ph === 'i' || event.ph === 'I' || event.ph === 'R') {
+                    instants.push(event);
+                } else if (event.ph === 'C') {
+                    // each series of a counter event becomes its own track
+                    Y.Object.each(event.args, function (value, series) {
+                        var name = series === 'value' ? event.name : event.name + ' ' + series;
+                        if (!counters[name]) {
+                            counters[name] = {
+                                name: name,
+                                values: []
+                            };
+                            waterfall.counters.push(counters[name]);
+                        }
+                        counters[name].values.push({
+                            time: event.ts,
+                            value: value
+                        });
+                    });
+                }
+            });
+
+            origin = origin || 0;
+
+            createRow = function (span) {
+                var row = Y.merge(span.event.args, {
+                        Name: span.event.name,
+                        startTime: (span.start - origin) / 1000,
+                        endTime: (span.end - origin) / 1000,
+                        durations: []
+                    }),
+                    totalDuration = 0;
+
+                Y.Array.each(span.phases, function (phase) {
+                    row.durations.push({
+                        type: phase.event.name,
+                        duration: (phase.end - phase.start) / 1000
+                    });
+                    totalDuration += phase.end - phase.start;
+                });
+
+                if (row.durations.length === 0) {
+                    row.durations.push({
+                        type: 'Elapsed Time',
+                        duration: row.endTime - row.startTime
+                    });
+                } else if (totalDuration < span.end - span.start) {
+                    row.durations.push({
+                        type: 'Other',
+                        duration: (span.end - span.start - totalDuration) / 1000
+                    });
+                }
+
+                if (span.children) {
+                    row.details = [];
+                    Y.Array.each(span.children, function (childSpan) {
+                        row.details.push(createRow(childSpan));
+                    });
+                }
+
+                return row;
+            };
+
+            Y.Object.each(spans, function (threadSpans) {
+                var stack = [],
+                    roots = [];
+
+                // parents start first, and are longer than children starting at the same time
+                threadSpans.sort(function (a, b) {
+                    return a.start !== b.start ? a.start - b.start : b.end - a.end;
+                });
+
+                Y.Array.each(threadSpans, function (span) {
+                    var parent;
+
+                    while (stack.length && stack[stack.length - 1].end < span.end) {
+                        stack.pop();
+                    }
+                    parent = stack[stack.length - 1];
+
+                    // waterfall durations exported by fromWaterfall belong to their row
+                    if (parent && span.event.cat === DURATION_CATEGORY) {
+                        parent.phases.push(span);
+                        return;
+                    }
+
+                    if (parent) {
+                        parent.children = parent.children || [];
+                        parent.children.push(span);
+                    } else {
+                        roots.push(span);
+                    }
+                    stack.push(span);
+                });
+
+                Y.Array.each(roots, function (span) {
+                    if (span.event.parentId !== undefined && spansById[span.event.parentId]) {
+                        orphans.push(span);
+                    } else {
+                        rootSpans.push(span);
+                    }
+                });
+            });
+
+            // rows are created once all the children of their parent are known
+            Y.Array.each(orphans, function (span) {
+                var parent = spansById[span.event.parentId];
+                parent.children = parent.children || [];
+                parent.children.push(span);
+                parent.children.sort(function (a, b) {
+                    return a.start - b.start;
+                });
+            });
+            Y.Array.each(rootSpans, function (span) {
+                waterfall.rows.push(createRow(span));
+            });
+
+            Y.Array.each(instants, function (event) {
+                var waterfallEvent = Y.merge(event.args, {
+                    type: event.name,
+                    time: (event.ts - origin) / 1000
+                });
+                if (event.dur !== undefined) {
+                    waterfallEvent.endTime = (event.ts + event.dur - origin) / 1000;
+                }
+                waterfall.events.push(waterfallEvent);
+            });
+
+            Y.Array.each(waterfall.counters, function (counter) {
+                Y.Array.each(counter.values, function (value) {
+                    value.time = (value.time - origin) / 1000;
+                });
+                counter.values.sort(function (a, b) {
+                    return a.time - b.time;
+                });
+            });
+
+            waterfall.stats = Y.mojito.Waterfall.computeStats(waterfall, config);
+
+            return waterfall;
+        }
+    };
+
+}, '0.1.0', {
+    requires: [
+        'mojito-waterfall'
+    ]
+});
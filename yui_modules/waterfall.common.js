@@ -4,16 +4,498 @@
  * See the accompanying LICENSE file for terms.
  */
 
-/*jslint browser: true, node: true, regexp: true, nomen: true, evil: true, plusplus: true */
-/*global YUI, escape */
+/*jslint browser: true, node: true, regexp: true, nomen: true, plusplus: true, newcap: true */
+/*global YUI, escape, BigInt */
 
 YUI.add('mojito-waterfall', function (Y, NAME) {
     'use strict';
 
-    var PROFILE_KEY_REGEX = /^(\/?[^\/:]+)+(\/[^\/:]+)*(:[^\/:]+)?$/,
-        STATS_TYPES = ['Name', 'Calls', 'Total Duration', 'Avg Duration', 'Min Duration', 'Max Duration'],
+    // names are separated by '/' and followed by an optional ':duration', '\' escapes the next character
+    var PROFILE_KEY_REGEX = /^\/?(?:[^\\\/:]|\\.)+(?:\/(?:[^\\\/:]|\\.)+)*(?::(?:[^\\\/:]|\\.)+)?$/,
+        // default stats columns
+        STATS_TYPES = ['Name', 'Calls', 'Total Duration', 'Self Time', 'Avg Duration', 'Min Duration', 'Max Duration'],
+        // all the stats columns that can be configured through config.stats.columns, in addition to
+        // any percentile column such as 'P75 Duration'
+        STATS_COLUMNS = STATS_TYPES.concat(['Avg Self Time', 'Median Duration', 'P90 Duration', 'P95 Duration', 'P99 Duration', 'Std Dev'],
+            ['Total Heap Delta', 'Avg Heap Delta', 'Total CPU Time', 'Avg CPU Time']),
+        // row data and default stats columns added by config.usage
+        USAGE_HEADERS = ['Heap Delta', 'CPU Time'],
+        USAGE_STATS_TYPES = ['Total Heap Delta', 'Total CPU Time'],
+        PERCENTILE_REGEX = /^P(\d+(?:\.\d+)?) Duration$/,
+        // version of the call log format returned by toCalls
+        CALLS_VERSION = 1,
+        // formats of getSummary, the version of its JSON schema, and its sort options with the value they sort by
+        SUMMARY_FORMATS = ['text', 'markdown', 'csv', 'json'],
+        SUMMARY_VERSION = 1,
+        SUMMARY_SORTS = {
+            total: 'totalMs',
+            avg: 'avgMs',
+            calls: 'calls'
+        },
+        // glyphs of getTextWaterfall: a bar glyph per duration type, the lines of global events across rows,
+        // the markers of row events and the extent of range events
+        TEXT_GLYPHS = {
+            ascii: {
+                durations: ['#', '=', '%', '*', '+', '@', '&', 'o'],
+                line: ':',
+                marker: '^',
+                range: '~',
+                ellipsis: '~'
+            },
+            unicode: {
+                durations: ['\u2588', '\u2593', '\u2592', '\u2591', '\u259a', '\u259e', '\u25a4', '\u25a5'],
+                line: '\u250a',
+                marker: '\u25c6',
+                range: '\u2500',
+                ellipsis: '\u2026'
+            }
+        },
+        TEXT_WIDTH = 80,
+        // the palette of the GUI, for the ANSI colors of getTextWaterfall
+        DURATION_COLORS = ['#3C953C', '#4465A7', '#993399', '#D63333', '#FF6600', '#CCCC00', '#A1A1A1'],
+        EVENT_COLORS = ['#3355ff', '#ff3355', '#11cc22'],
+        // percentage change flagged by Waterfall.diff by default
+        DIFF_THRESHOLD = 10,
+        // percentiles computed by Waterfall.aggregate in addition to the median
+        AGGREGATE_PERCENTILES = [10, 90],
+        // what to do with calls made once config.limits.maxCalls is reached
+        OVERFLOW_POLICIES = ['drop-new', 'drop-below-depth', 'aggregate'],
+        // the file of a stack frame, such as '    at fn (/path/file.js:1:2)' or 'fn@http://host/file.js:1:2'
+        STACK_FILE_REGEX = /([^\s(@]+):\d+:\d+\)?$/,
         WaterfallNamespace = Y.namespace('mojito.Waterfall'),
-        isBrowser = typeof window === 'object';
+        isBrowser = typeof window === 'object',
+        // ms per unit of the clock units, 'hrtime' clocks return [seconds, nanoseconds] instead
+        CLOCK_UNITS = {
+            s: 1e3,
+            ms: 1,
+            us: 1e-3,
+            ns: 1e-6
+        },
+        DEFAULT_CLOCK = isBrowser ? {
+            now: (function (performance) {
+                var now = performance && (
+                    performance.now    ||
+                    performance.mozNow ||
+                    performance.msNow  ||
+                    performance.oNow   ||
+                    performance.webkitNow
+                );
+                // performance.now has to be called on the performance object
+                return now ? function () {
+                    return now.call(performance);
+                } : function () {
+                    return new Date().getTime();
+                };
+            }(window.performance)),
+            units: 'ms'
+        } : {
+            now: process.hrtime,
+            units: 'hrtime'
+        },
+
+        /**
+         * Validates a clock. Whether it returns BigInts is determined from the first time it returns,
+         * such that the clock is not called before profiling or replaying starts.
+         * @param {Object} clock {now, units}
+         * @return {Object} The clock, or null if invalid.
+         */
+        createClock = function (clock) {
+            if (!clock || typeof clock.now !== 'function' ||
+                    (clock.units !== 'hrtime' && !CLOCK_UNITS.hasOwnProperty(clock.units))) {
+                Y.log('Invalid clock, a clock needs a now function and units (' +
+                    Y.Object.keys(CLOCK_UNITS).join(', ') + ' or hrtime).', 'error', NAME);
+                return null;
+            }
+            return {
+                now: clock.now,
+                units: clock.units
+            };
+        },
+
+        /**
+         * Samples the heap used and the CPU time of the process, if available.
+         * @return {Object} {heap: bytes, cpu: µs}
+         */
+        sampleUsage = function () {
+            var cpu;
+            if (typeof process !== 'object' || !process.memoryUsage || !process.cpuUsage) {
+                return undefined;
+            }
+            cpu = process.cpuUsage();
+            return {
+                heap: process.memoryUsage().heapUsed,
+                cpu: cpu.user + cpu.system
+            };
+        },
+
+        /**
+         * Returns the stack of the code calling the waterfall, without the frames of the waterfall
+         * itself, which vary with the path of the call (through handles or wrapped functions).
+         * @return {String}
+         */
+        getCallSite = function () {
+            var frames = String(new Error().stack).split('\n'),
+                getFile = function (frame) {
+                    var match = STACK_FILE_REGEX.exec(frame);
+                    return match && match[1];
+                },
+                file,
+                i = 0;
+
+            // the first frame is this function, in the file of the waterfall
+            while (i < frames.length && !file) {
+                file = getFile(frames[i]);
+                i++;
+            }
+            while (i < frames.length && getFile(frames[i]) === file) {
+                i++;
+            }
+            return frames.slice(i).join('\n');
+        },
+
+        /**
+         * Converts a number of bytes into a string such as '1.5MB' or '-200KB'.
+         * @param {Number} bytes
+         * @return {String}
+         */
+        bytesToString = function (bytes) {
+            var units = ['B', 'KB', 'MB', 'GB'],
+                i = 0,
+                value = Math.abs(bytes);
+            while (value >= 1024 && i < units.length - 1) {
+                value /= 1024;
+                i++;
+            }
+            return (bytes < 0 ? '-' : '') + (i > 0 ? Number(value.toFixed(1)) : value) + units[i];
+        },
+
+        /**
+         * Returns the percentile of sorted values using the nearest rank method.
+         * @param {Array} sortedValues
+         * @param {Number} p
+         * @return {Number}
+         */
+        percentile = function (sortedValues, p) {
+            return sortedValues[Math.min(sortedValues.length - 1, Math.max(0, Math.ceil(p / 100 * sortedValues.length) - 1))];
+        },
+
+        /**
+         * Sets the start and end time of a GUI row or duration in ms, if not already set.
+         * @param {Object} profile
+         * @param {String} units The units of the waterfall.
+         */
+        setMsTimes = function (profile, units) {
+            var timeToMs = Y.mojito.Waterfall.Time.timeToMs;
+            profile.startMs = profile.startMs === undefined ? timeToMs(profile.startTime + (Number(profile.startTime) ? units : '')) : profile.startMs;
+            profile.endMs = profile.endMs === undefined ? timeToMs(profile.endTime + (Number(profile.endTime) ? units : '')) : profile.endMs;
+        },
+
+        /**
+         * Returns the self time of a GUI row in ms, i.e. its duration minus the union of the intervals
+         * of its children.
+         * @param {Object} row The row, with ms times.
+         * @param {String} units The units of the waterfall.
+         * @return {Number}
+         */
+        getSelfTime = function (row, units) {
+            var intervals = [],
+                selfTime = row.endMs - row.startMs,
+                coveredUntil = row.startMs;
+
+            if (!Y.Lang.isArray(row.details)) {
+                return selfTime;
+            }
+            Y.Array.each(row.details, function (childRow) {
+                setMsTimes(childRow, units);
+                intervals.push([Math.max(childRow.startMs, row.startMs), Math.min(childRow.endMs, row.endMs)]);
+            });
+            intervals.sort(function (a, b) {
+                return a[0] - b[0];
+            });
+            Y.Array.each(intervals, function (interval) {
+                // only subtract the part not already covered by previous children
+                var start = Math.max(interval[0], coveredUntil);
+                if (interval[1] > start) {
+                    selfTime -= interval[1] - start;
+                    coveredUntil = interval[1];
+                }
+            });
+            return selfTime;
+        },
+
+        /**
+         * Splits a profile key on a separator, ignoring escaped separators.
+         * @param {String} key
+         * @param {String} separator
+         * @return {Array} The parts, still escaped.
+         */
+        splitKey = function (key, separator) {
+            var parts = [''],
+                c,
+                i;
+            for (i = 0; i < key.length; i++) {
+                c = key.charAt(i);
+                if (c === '\\') {
+                    parts[parts.length - 1] += key.substr(i, 2);
+                    i++;
+                } else if (c === separator) {
+                    parts.push('');
+                } else {
+                    parts[parts.length - 1] += c;
+                }
+            }
+            return parts;
+        },
+
+        unescapeKey = function (name) {
+            return name.replace(/\\(.)/g, '$1');
+        },
+
+        escapeKey = function (name) {
+            return String(name).replace(/[\\\/:]/g, '\\$&');
+        },
+
+        /**
+         * Converts a profile key given as an array of names into a string key. Names may contain
+         * '/' and ':', and a leading empty name makes the key start at the root, e.g.
+         * ['', 'root', 'GET /api/x'] becomes '/root/GET \/api\/x'. String keys are returned as is.
+         * @param {String|Array} profileKey
+         * @return {String}
+         */
+        keyToString = function (profileKey) {
+            var key = '',
+                i;
+            if (!Y.Lang.isArray(profileKey)) {
+                return profileKey;
+            }
+            for (i = 0; i < profileKey.length; i++) {
+                key += (i > 0 ? '/' : '') + escapeKey(profileKey[i]);
+            }
+            return key;
+        },
+
+        /**
+         * Converts a time of a GUI-format waterfall into ms.
+         * @param {Number|String} time A number in the units of the waterfall, or a time string.
+         * @param {Number} unitMs The ms per unit of the waterfall.
+         * @return {Number}
+         */
+        toMs = function (time, unitMs) {
+            return typeof time === 'number' ? time * unitMs : Y.mojito.Waterfall.Time.timeToMs(time);
+        },
+
+        /**
+         * Copies a GUI-format event with its times in ms, shifted by an offset in ms.
+         * @param {Object} event
+         * @param {Number} unitMs
+         * @param {Number} offset
+         * @return {Object}
+         */
+        copyEvent = function (event, unitMs, offset) {
+            var copy = Y.merge(event, {
+                time: toMs(event.time, unitMs) + offset
+            });
+            if (event.endTime !== undefined) {
+                copy.endTime = toMs(event.endTime, unitMs) + offset;
+            }
+            return copy;
+        },
+
+        /**
+         * Deep copies GUI-format rows with all their times in ms, shifted by an offset in ms.
+         * @param {Array} rows
+         * @param {Number} unitMs
+         * @param {Number} offset
+         * @return {Array}
+         */
+        copyRows = function (rows, unitMs, offset) {
+            var copies = [];
+            Y.Array.each(rows, function (row) {
+                var copy = Y.merge(row),
+                    totalDuration = 0;
+
+                // stats are recomputed for the copies
+                delete copy.startMs;
+                delete copy.endMs;
+
+                copy.startTime = toMs(row.startTime, unitMs) + offset;
+                copy.durations = [];
+                Y.Array.each(row.durations, function (duration) {
+                    copy.durations.push(Y.merge(duration, {
+                        duration: toMs(duration.duration, unitMs)
+                    }));
+                    totalDuration += copy.durations[copy.durations.length - 1].duration;
+                });
+                copy.endTime = row.endTime !== undefined ? toMs(row.endTime, unitMs) + offset : copy.startTime + totalDuration;
+
+                if (Y.Lang.isArray(row.details)) {
+                    copy.details = copyRows(row.details, unitMs, offset);
+                }
+                if (row.events) {
+                    copy.events = [];
+                    Y.Array.each(row.events, function (event) {
+                        copy.events.push(copyEvent(event, unitMs, offset));
+                    });
+                }
+
+                copies.push(copy);
+            });
+            return copies;
+        },
+
+        /**
+         * Formats objects as an ASCII table with a row per object.
+         * @param {Array} columns The properties of the objects shown, which are also the column headers.
+         * @param {Array} objects
+         * @return {String}
+         */
+        formatTable = function (columns, objects) {
+            var columnWidths = [],
+                i,
+                headerRow = '+',
+                row = '+',
+                str;
+
+            Y.Array.each(objects, function (object) {
+                Y.Array.each(columns, function (column, index) {
+                    columnWidths[index] = Math.max(String(object[column]).length, columnWidths[index] || column.length);
+                });
+            });
+
+            Y.Array.each(columnWidths, function (width) {
+                for (i = 0; i < width + 2; i++) {
+                    row += '-';
+                    headerRow += '=';
+                }
+                row += '+';
+                headerRow += '+';
+            });
+
+            str = headerRow + '\n|';
+
+            Y.Array.each(columns, function (column, index) {
+                str += ' ' + column + ' ';
+                for (i = column.length; i < columnWidths[index]; i++) {
+                    str += ' ';
+                }
+                str += '|';
+            });
+
+            str += '\n' + headerRow + '\n';
+
+            Y.Array.each(objects, function (object) {
+                str += '|';
+                Y.Array.each(columns, function (column, index) {
+                    str += ' ' + object[column] + ' ';
+                    for (i = String(object[column]).length; i < columnWidths[index]; i++) {
+                        str += ' ';
+                    }
+                    str += '|';
+                });
+                str += '\n' + row + '\n';
+            });
+
+            return str;
+        },
+
+        /**
+         * Escapes the characters that Markdown would interpret, including the table cell separator.
+         * @param {Any} value
+         * @return {String}
+         */
+        escapeMarkdown = function (value) {
+            return String(value === undefined ? '' : value).replace(/([\\|*_`\[\]<>])/g, '\\$1');
+        },
+
+        /**
+         * Formats objects as a GitHub-flavored Markdown table with a row per object.
+         * @param {Array} columns The properties of the objects shown, which are also the column headers.
+         * @param {Array} objects
+         * @return {String}
+         */
+        formatMarkdownTable = function (columns, objects) {
+            var str = '|',
+                separator = '|';
+
+            Y.Array.each(columns, function (column) {
+                str += ' ' + escapeMarkdown(column) + ' |';
+                separator += ' --- |';
+            });
+            str += '\n' + separator + '\n';
+
+            Y.Array.each(objects, function (object) {
+                str += '|';
+                Y.Array.each(columns, function (column) {
+                    str += ' ' + escapeMarkdown(object[column]) + ' |';
+                });
+                str += '\n';
+            });
+
+            return str;
+        },
+
+        /**
+         * Keeps the unformatted values of a stat that getSummary sorts by. The property is not
+         * enumerable, such that it is neither a column nor serialized.
+         * @param {Object} stat
+         * @param {Object} values {calls, totalMs, avgMs, durationsMs: the durations of the summary}
+         */
+        setSummaryValues = function (stat, values) {
+            Object.defineProperty(stat, 'summaryValues', {
+                value: values,
+                configurable: true
+            });
+        },
+
+        /**
+         * Returns the total duration of the calls of a stat's summary in ms.
+         * @param {Array} summary
+         * @return {Number}
+         */
+        getSummaryDuration = function (summary) {
+            var total = 0;
+            Y.Array.each(summary, function (call) {
+                total += Y.mojito.Waterfall.Time.timeToMs(call.Duration);
+            });
+            return total;
+        },
+
+        /**
+         * Wraps text in the ANSI escape codes of a 24-bit foreground color.
+         * @param {String} text
+         * @param {String} color A CSS hex color, such as '#3C953C' or '#f00'; other colors are ignored.
+         * @return {String}
+         */
+        colorText = function (text, color) {
+            var match = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(color || ''),
+                hex;
+            if (!match) {
+                return text;
+            }
+            hex = match[1].length === 3 ? match[1].replace(/(.)/g, '$1$1') : match[1];
+            return '\u001b[38;2;' + parseInt(hex.substr(0, 2), 16) + ';' + parseInt(hex.substr(2, 2), 16) + ';' +
+                parseInt(hex.substr(4, 2), 16) + 'm' + text + '\u001b[0m';
+        },
+
+        /**
+         * Validates the configured stats columns. Name is always the first column.
+         * @param {Array} configColumns
+         * @return {Array} The columns.
+         */
+        getStatsColumns = function (configColumns) {
+            var columns = [];
+            Y.Array.each(configColumns || STATS_TYPES, function (column) {
+                if (STATS_COLUMNS.indexOf(column) === -1 && !PERCENTILE_REGEX.test(column)) {
+                    Y.log('Unknown stats column "' + column + '".', 'warn', NAME);
+                } else if (columns.indexOf(column) === -1) {
+                    columns.push(column);
+                }
+            });
+            if (columns.indexOf('Name') === -1) {
+                columns.unshift('Name');
+            }
+            return columns;
+        };
 
     /**
      * Representation of a profile key (the string used to create a profile).
@@ -24,33 +506,43 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
      * @param {String} key
      */
     function ProfileKey(key) {
-        var parts;
+        var parts,
+            profiles = [];
 
         this.profiles = [];
         this.duration = null;
         this.root = key.indexOf('/') === 0;
 
-        // Get all the profiles in the key.
-        parts = key.split('/');
-        Y.Array.each(parts, function (profile, i) {
+        // Get all the profiles in the key, names are unescaped once split.
+        Y.Array.each(splitKey(key, '/'), function (profile) {
             profile = profile.trim();
             if (profile) {
-                this.profiles.push(profile);
+                profiles.push(profile);
             }
-        }.bind(this));
+        });
 
         // Get the duration if it exists.
-        if (this.profiles[this.profiles.length - 1].indexOf(':') !== -1) {
-            parts = this.profiles[this.profiles.length - 1].split(':');
-            this.profiles[this.profiles.length - 1] = parts[0].trim();
-            this.duration = parts[1].trim();
+        parts = splitKey(profiles[profiles.length - 1], ':');
+        if (parts.length > 1) {
+            profiles[profiles.length - 1] = parts[0].trim();
+            this.duration = unescapeKey(parts[1].trim());
         }
+
+        Y.Array.each(profiles, function (profile) {
+            this.profiles.push(unescapeKey(profile));
+        }, this);
     }
 
     ProfileKey.prototype = {
 
         toString: function () {
-            this.str = this.str || (this.root ? '/' : '') + this.profiles.join('/') + (this.duration ? ':' + this.duration : '');
+            var key = '';
+            if (!this.str) {
+                Y.Array.each(this.profiles, function (profile, i) {
+                    key += (i > 0 ? '/' : '') + escapeKey(profile);
+                });
+                this.str = (this.root ? '/' : '') + key + (this.duration ? ':' + escapeKey(this.duration) : '');
+            }
             return this.str;
         }
     };
@@ -95,12 +587,13 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
         set: function (setData) {
             var profile = this.profile;
 
+            // times of custom clocks can be 0
             if (profile.duration) {
-                profile.duration.startTime = profile.duration.startTime || setData.startTime;
-                profile.duration.endTime = profile.duration.endTime || setData.endTime;
+                profile.duration.startTime = profile.duration.startTime !== undefined ? profile.duration.startTime : setData.startTime;
+                profile.duration.endTime = profile.duration.endTime !== undefined ? profile.duration.endTime : setData.endTime;
             } else {
-                profile.startTime = profile.startTime || setData.startTime;
-                profile.endTime = profile.endTime || setData.endTime;
+                profile.startTime = profile.startTime !== undefined ? profile.startTime : setData.startTime;
+                profile.endTime = profile.endTime !== undefined ? profile.endTime : setData.endTime;
             }
 
             Y.mix(profile.data, setData.data, true, null, 0, true);
@@ -155,6 +648,7 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                 lastProfile.startTime = profile.startTime;
                 lastProfile.endTime = profile.endTime;
                 lastProfile.type = profile.data.type || lastProfile.type;
+                lastProfile.events = profile.events || lastProfile.events;
                 Y.mix(lastProfile.data, profile.data, true, null, 0, true);
             } else {
                 // If last profile is closed, just append new profile.
@@ -163,164 +657,580 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
         }
     };
 
+    /**
+     * Handle to a single started profile. Ending a profile through its handle closes exactly
+     * that profile, even if other profiles with the same key are open at the same time.
+     * @class ProfileHandle
+     * @constructor
+     * @param {Waterfall} waterfall
+     * @param {String} profileKey
+     * @param {Number|Array} time The start time.
+     */
+    function ProfileHandle(waterfall, profileKey, time) {
+        this.waterfall = waterfall;
+        this.profileKey = profileKey;
+        this.time = time;
+    }
+
+    ProfileHandle.prototype = {
+
+        /**
+         * Ends the profile started with this handle.
+         * @param {Object} data
+         */
+        end: function (data) {
+            return this.waterfall.end(this, data);
+        }
+    };
+
+    /**
+     * Profiles a request. Besides headers and stats, the config can limit the memory used for profiling:
+     *     limits: {
+     *         maxCalls: maximum number of calls recorded, after which the overflow policy applies,
+     *         overflow: 'drop-new' (default) drops all new profiles, events and counter values,
+     *             'drop-below-depth' drops new profiles deeper than maxDepth and all new events and counter values,
+     *             'aggregate' records new profiles as a single stats-only entry per profile path,
+     *         maxDepth: depth of the deepest profiles still recorded by 'drop-below-depth', top level
+     *             profiles have a depth of 1
+     *     },
+     *     sampleRate: probability (0 to 1) that this waterfall profiles at all; otherwise all calls are no-ops,
+     *     strict: throw an error at the point of misuse, such as an invalid key or an end without a start,
+     *     stacks: record the stack of each start and end, such that errors include their call site,
+     *     usage: on the server, sample process.memoryUsage() and process.cpuUsage() at each start and end.
+     *         The deltas are added to the profile data as 'Heap Delta' and 'CPU Time', formatted like the
+     *         stats and shown as columns, with the numbers (bytes and ms) in usage: {heapDelta, cpuTime},
+     *         and aggregated in the stats as 'Total Heap Delta' and 'Total CPU Time',
+     *     eventCategories: {category: {color, label}}, the colors and labels of the event categories,
+     *     budgets: performance budgets checked by Waterfall.checkBudgets, the violations are reported
+     *         by getGui and getSummary.
+     * Profiles that were recorded always get their end recorded, so the number of calls can slightly exceed
+     * maxCalls. What was dropped is reported by getGui and getSummary. Errors are collected in the errors
+     * array, {key, message, time, stack}, which is included in the output of getGui.
+     * @class Waterfall
+     * @constructor
+     * @param {Object} config
+     */
     function Waterfall(config) {
         this.config = config;
         this.headers = config && config.headers;
         this.events = [];
+        this.counters = [];
         this.stats = {};
+        this.errors = [];
 
         this._calls = [];
+        this._applyConfig();
     }
 
-    Waterfall._now = isBrowser ? ((window.performance && (
-        window.performance.now    ||
-        window.performance.mozNow ||
-        window.performance.msNow  ||
-        window.performance.oNow   ||
-        window.performance.webkitNow
-    )) || function () {
-        return new Date().getTime();
-    }) : process.hrtime;
-
-    Waterfall._timeToMs = function (time) {
-        return isBrowser ? time : time / 1e6;
+    /**
+     * The clock of the waterfalls that do not configure their own. Defaults to performance.now
+     * in the browser and process.hrtime on the server.
+     */
+    Waterfall._clock = DEFAULT_CLOCK;
+
+    /**
+     * Sets the clock of all the waterfalls created from now on that do not configure their own
+     * (config.clock). A clock is {now: function returning the current time, units: the units of
+     * those times}. The units are 's', 'ms', 'us' or 'ns' for clocks returning numbers or BigInts
+     * (such as process.hrtime.bigint), or 'hrtime' for clocks returning [seconds, nanoseconds].
+     * The origin of the times does not matter.
+     * @param {Object} clock The clock, or null to restore the default clock.
+     */
+    Waterfall.setClock = function (clock) {
+        Waterfall._clock = (clock && createClock(clock)) || DEFAULT_CLOCK;
+    };
+
+    /**
+     * Escapes '/', ':' and '\' in a name such that it can be used as part of a profile key,
+     * e.g. 'GET ' + Waterfall.escapeKey('/api/x') + ':Render'.
+     * @param {String} name
+     * @return {String}
+     */
+    Waterfall.escapeKey = escapeKey;
+
+    /**
+     * Returns the self time of a row of a GUI-format waterfall in ms, i.e. its duration minus the time
+     * covered by its children.
+     * @param {Object} row
+     * @param {String} units The units of the waterfall.
+     * @return {Number}
+     */
+    Waterfall.getSelfTime = function (row, units) {
+        setMsTimes(row, units || '');
+        return getSelfTime(row, units || '');
     };
 
     Waterfall._executeExpression = function (expression, values) {
-        var valueExpression,
-            variables,
-            i = 0;
         // determine whether to add stat based on config
         if (!expression) {
             return null;
         }
 
-        // get variables
-        variables = expression.split(/[^\d\w\s\'\"]/);
-        while (i < variables.length) {
-            variables[i] = variables[i].trim();
-            // remove empty variables and values
-            if (!variables[i] || /^((\d+)|(\'.*\')|(\".*\")|(true)|(false)|(null)|(undefined)|(NaN))$/.test(variables[i])) {
-                variables.splice(i, 1);
-                continue;
-            }
-            i++;
-        }
-        // sort by longest length first in case a variable name is a substring of another
-        variables.sort(function (a, b) {
-            return a.length > b.length ? -1 : a.length < b.length ? 1 : 0;
-        });
-
-        valueExpression = expression;
-        Y.Array.some(variables, function (v) {
-            var value = typeof values[v] === 'string' ? '\'' + values[v] + '\'' : values[v];
-            valueExpression = valueExpression.replace(new RegExp(v, 'g'), value);
-        });
-
         try {
-            return eval(valueExpression);
+            return Y.mojito.Waterfall.Expression.evaluate(expression, values);
         } catch (e) {
-            Y.log('Error executing the expression "' + expression + '" = "' + valueExpression + '": ' + e.message, 'error', NAME);
+            Y.log('Error executing the expression "' + expression + '": ' + e.message, 'error', NAME);
             return null;
         }
     };
 
-    Waterfall.getSummary = function (waterfall) {
+    /**
+     * Summarizes the stats of a GUI-format waterfall, along with any budget violations, dropped calls
+     * and its critical path.
+     * @param {Object} waterfall
+     * @param {Object} options Optional, {format: 'text' (default, ASCII tables), 'markdown' (GitHub-flavored),
+     *     'csv' or 'json', sort: 'total', 'avg' or 'calls' to sort the stats in descending order instead of
+     *     by start time, top: the number of stats shown, defaults to config.stats.top when the stats were
+     *     computed, breakdown: true to include the duration of each call of each stat}.
+     * @return {String} The summary. The JSON format is {version: 1, columns, stats: [{name, calls, totalMs,
+     *     avgMs, values: {column: formatted value}, breakdown: [{name, duration, durationMs}]}], totalDuration,
+     *     violations, dropped, sampled, criticalPath}, where breakdown is only present if requested.
+     */
+    Waterfall.getSummary = function (waterfall, options) {
+        options = options || {};
 
         waterfall.stats = waterfall.stats || Waterfall.computeStats(waterfall);
 
-        var columnWidths = [],
+        var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+            msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+            format = options.format || 'text',
+            columns,
+            stats = [],
             i,
-            headerRow,
-            row,
-            statStr;
+            statStr,
+            json,
+            rows;
+
+        if (SUMMARY_FORMATS.indexOf(format) === -1) {
+            Y.log('Unknown summary format "' + format + '", using "text".', 'warn', NAME);
+            format = 'text';
+        }
 
-        Y.Object.each(waterfall.stats, function (stat, statName) {
+        // the columns are the ones configured when the stats were computed
+        Y.Object.each(waterfall.stats, function (stat) {
             if (!Y.Lang.isObject(stat)) {
                 return;
             }
-            Y.Array.each(STATS_TYPES, function (statType, column) {
-                columnWidths[column] = Math.max(String(stat[statType]).length, columnWidths[column] || statType.length);
+            if (!columns) {
+                columns = Y.Object.keys(stat);
+                if (columns.indexOf('summary') !== -1) {
+                    columns.splice(columns.indexOf('summary'), 1);
+                }
+            }
+            // the formatted values are only parsed for stats that were serialized
+            stats.push(stat.summaryValues ? Y.merge(stat.summaryValues, {
+                stat: stat
+            }) : {
+                stat: stat,
+                calls: stat.Calls !== undefined ? Number(stat.Calls) : (stat.summary || []).length,
+                totalMs: stat['Total Duration'] !== undefined ? timeToMs(stat['Total Duration']) : getSummaryDuration(stat.summary)
             });
         });
+        columns = columns || STATS_TYPES;
 
-        row = '+';
-        headerRow = '+';
-
-        Y.Array.each(columnWidths, function (width) {
-            for (i = 0; i < width + 2; i++) {
-                row += '-';
-                headerRow += '=';
+        Y.Array.each(stats, function (entry) {
+            if (entry.avgMs === undefined) {
+                entry.avgMs = entry.stat['Avg Duration'] !== undefined ? timeToMs(entry.stat['Avg Duration']) :
+                        entry.calls ? entry.totalMs / entry.calls : 0;
             }
-            row += '+';
-            headerRow += '+';
         });
+        if (SUMMARY_SORTS[options.sort]) {
+            stats.sort(function (a, b) {
+                return b[SUMMARY_SORTS[options.sort]] - a[SUMMARY_SORTS[options.sort]];
+            });
+        } else if (options.sort) {
+            Y.log('Unknown summary sort "' + options.sort + '".', 'warn', NAME);
+        }
+        if (options.top !== undefined) {
+            stats = stats.slice(0, options.top);
+        }
+
+        if (format === 'json') {
+            json = {
+                version: SUMMARY_VERSION,
+                columns: columns,
+                stats: [],
+                totalDuration: (waterfall.sampled !== false && waterfall.stats.totalDuration) || null,
+                violations: waterfall.violations || [],
+                dropped: waterfall.dropped || null,
+                sampled: waterfall.sampled !== false,
+                criticalPath: waterfall.criticalPath || []
+            };
+            Y.Array.each(stats, function (entry) {
+                var jsonStat = {
+                    name: entry.stat.Name,
+                    calls: entry.calls,
+                    totalMs: entry.totalMs,
+                    avgMs: entry.avgMs,
+                    values: {}
+                };
+                Y.Array.each(columns, function (column) {
+                    jsonStat.values[column] = entry.stat[column];
+                });
+                if (options.breakdown) {
+                    jsonStat.breakdown = [];
+                    Y.Array.each(entry.stat.summary, function (call, index) {
+                        jsonStat.breakdown.push({
+                            name: call.Name,
+                            duration: call.Duration,
+                            durationMs: entry.durationsMs ? entry.durationsMs[index] : timeToMs(call.Duration)
+                        });
+                    });
+                }
+                json.stats.push(jsonStat);
+            });
+            return JSON.stringify(json, null, 2);
+        }
 
-        statStr = headerRow + '\n|';
+        if (format === 'csv') {
+            rows = [options.breakdown ? columns.concat(['Call', 'Call Duration']) : columns];
+            Y.Array.each(stats, function (entry) {
+                var row = [],
+                    calls = entry.stat.summary && entry.stat.summary.length ? entry.stat.summary : [{}];
+                Y.Array.each(columns, function (column) {
+                    row.push(entry.stat[column]);
+                });
+                if (!options.breakdown) {
+                    rows.push(row);
+                    return;
+                }
+                // a row per call, such that the calls can be pivoted in a spreadsheet
+                Y.Array.each(calls, function (call) {
+                    rows.push(row.concat([call.Name, call.Duration]));
+                });
+            });
+            statStr = '';
+            Y.Array.each(rows, function (row) {
+                Y.Array.each(row, function (value, index) {
+                    value = value === undefined || value === null ? '' : String(value);
+                    statStr += (index > 0 ? ',' : '') + (/[",\r\n]/.test(value) ? '"' + value.replace(/"/g, '""') + '"' : value);
+                });
+                statStr += '\n';
+            });
+            return statStr;
+        }
 
-        Y.Array.each(STATS_TYPES, function (statType, column) {
-            statStr += ' ' + statType + ' ';
-            for (i = statType.length; i < columnWidths[column]; i++) {
-                statStr += ' ';
+        statStr = '';
+        if (waterfall.violations && waterfall.violations.length > 0) {
+            if (format === 'markdown') {
+                statStr += '**:warning: ' + waterfall.violations.length + ' budget violation' + (waterfall.violations.length > 1 ? 's' : '') + '**\n\n';
+            } else {
+                statStr += '!!! ' + waterfall.violations.length + ' budget violation' + (waterfall.violations.length > 1 ? 's' : '') + ' !!!\n';
             }
-            statStr += '|';
-        });
+            Y.Array.each(waterfall.violations, function (violation) {
+                statStr += (format === 'markdown' ? '- ' + escapeMarkdown(violation.message) : '  ' + violation.message) + '\n';
+            });
+            statStr += '\n';
+        }
 
-        statStr += '\n' + headerRow + '\n';
+        // an unsampled request has no stats and no execution time
+        if (waterfall.sampled !== false) {
+            rows = [];
+            Y.Array.each(stats, function (entry) {
+                rows.push(entry.stat);
+            });
+            statStr += format === 'markdown' ? formatMarkdownTable(columns, rows) : formatTable(columns, rows);
+        }
 
-        Y.Object.each(waterfall.stats, function (stat, statName) {
-            if (!Y.Lang.isObject(stat)) {
-                return;
-            }
-            statStr += '|';
-            Y.Array.each(STATS_TYPES, function (statType, column) {
-                statStr += ' ' + stat[statType] + ' ';
-                for (i = String(stat[statType]).length; i < columnWidths[column]; i++) {
-                    statStr += ' ';
+        if (options.breakdown) {
+            Y.Array.each(stats, function (entry) {
+                if (!entry.stat.summary || entry.stat.summary.length === 0) {
+                    return;
                 }
-                statStr += '|';
+                statStr += '\n' + (format === 'markdown' ? '#### Calls of ' + escapeMarkdown(entry.stat.Name) + '\n\n' +
+                        formatMarkdownTable(['Name', 'Duration'], entry.stat.summary) : 'Calls of ' + entry.stat.Name + ':\n' +
+                        formatTable(['Name', 'Duration'], entry.stat.summary));
             });
-            statStr += '\n' + row + '\n';
-        });
+        }
+
+        if (waterfall.stats.totalDuration && waterfall.sampled !== false) {
+            statStr += (format === 'markdown' ? '\n**Total Execution Time:** ' : 'Total Execution Time: ') + waterfall.stats.totalDuration + '\n';
+        }
+
+        if (waterfall.dropped) {
+            statStr += '\nLimit of ' + waterfall.dropped.maxCalls + ' calls reached (' + waterfall.dropped.overflow + '): ' +
+                'dropped ' + waterfall.dropped.profiles + ' profiles and ' + waterfall.dropped.events + ' events' +
+                (waterfall.dropped.counters ? ' and ' + waterfall.dropped.counters + ' counter values' : '') + ', ' +
+                'aggregated ' + waterfall.dropped.aggregated + ' profiles into ' + waterfall.dropped.aggregates + ' stats-only entries.\n';
+        }
+        if (waterfall.sampled === false) {
+            statStr += '\nThis request was not sampled.\n';
+        }
 
-        if (waterfall.stats.totalDuration) {
-            statStr += 'Total Execution Time: ' + waterfall.stats.totalDuration + '\n';
+        if (waterfall.criticalPath && waterfall.criticalPath.length > 0) {
+            statStr += format === 'markdown' ? '\n**Critical Path:**\n\n' : '\nCritical Path:\n';
+            Y.Array.each(waterfall.criticalPath, function (step) {
+                // Markdown lists are nested from the first level
+                statStr += format === 'markdown' ? '' : '  ';
+                for (i = 0; i < step.depth; i++) {
+                    statStr += '  ';
+                }
+                statStr += (format === 'markdown' ? '- ' + escapeMarkdown(step.path) : step.path) + ': ' +
+                    msTimeToString(step.contribution, 4) + ' (' + step.percentage.toFixed(1) + '%)\n';
+            });
         }
 
         return statStr;
     };
 
-    Waterfall.computeStats = function (waterfall, config) {
-        var stats = {},
+    /**
+     * Renders a GUI-format waterfall as text, for terminals and logs. Each row is a line with its name,
+     * indented by depth, a bar proportional to its time with a glyph per duration type, and its duration.
+     * Global events are numbered above the rows and drawn as lines across them, row events are marked on
+     * their row, and the glyphs and events are listed below.
+     * @param {Object} waterfall
+     * @param {Number} width Optional, the width of the lines in characters, defaults to 80.
+     * @param {Object} options Optional, {unicode: true to draw with Unicode block characters instead of ASCII,
+     *     colors: true to color the durations and events with ANSI escape codes, using the colors of the GUI}.
+     * @return {String}
+     */
+    Waterfall.getTextWaterfall = function (waterfall, width, options) {
+        options = options || {};
+        width = width || TEXT_WIDTH;
+
+        var msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
             units = waterfall.units || '',
-            minTime,
-            maxTime,
-            msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
-            timeToMs = Y.mojito.Waterfall.Time.timeToMs,
-            profileFilter = config && config.stats && config.stats.profileFilter,
-            statsTop = config && config.stats && config.stats.top,
-            statsFilter = config && config.stats && config.stats.statsFilter,
-            summarySorter = function (a, b) {
-                return b.Duration - a.Duration;
+            unitMs = Y.mojito.Waterfall.Time.timeToMs('1' + (waterfall.units || 'ms')),
+            glyphs = options.unicode ? TEXT_GLYPHS.unicode : TEXT_GLYPHS.ascii,
+            eventCategories = waterfall.eventCategories || {},
+            durationTypes = {},
+            durationTypeList = [],
+            lines = [],
+            globalEvents = [],
+            events = [],
+            startMs,
+            endMs,
+            labelWidth = 'Name'.length,
+            durationWidth = 0,
+            barWidth,
+            str = '',
+            repeat = function (text, count) {
+                var repeated = '',
+                    i;
+                for (i = 0; i < count; i++) {
+                    repeated += text;
+                }
+                return repeated;
             },
-            getMsTime = function (profile) {
-                profile.startMs = profile.startMs === undefined ? timeToMs(profile.startTime + (Number(profile.startTime) ? units : '')) : profile.startMs;
-                profile.endMs = profile.endMs === undefined ? timeToMs(profile.endTime + (Number(profile.endTime) ? units : '')) : profile.endMs;
+            getEvent = function (event, index) {
+                var category = event.category && eventCategories[event.category],
+                    time = toMs(event.time, unitMs);
+                return {
+                    type: event.type,
+                    startMs: time,
+                    endMs: event.endTime !== undefined ? toMs(event.endTime, unitMs) : time,
+                    range: event.endTime !== undefined,
+                    color: event.color || (category && category.color) || EVENT_COLORS[index % EVENT_COLORS.length]
+                };
             },
-            addStat = function (profile, root) {
-                if (Waterfall._executeExpression(profileFilter, profile) === false) {
-                    return;
-                }
-                var type = profile.type || profile.Name,
-                    start = profile.startMs,
-                    end = profile.endMs;
-
-                stats[type] = stats[type] || [];
+            include = function (from, to) {
+                startMs = startMs === undefined ? from : Math.min(startMs, from);
+                endMs = endMs === undefined ? to : Math.max(endMs, to);
+            },
+            addLines = function (rows, depth) {
+                Y.Array.each(rows, function (row) {
+                    var line = {
+                            label: repeat('  ', depth) + row.Name,
+                            row: row,
+                            events: []
+                        };
+
+                    setMsTimes(row, units);
+                    include(row.startMs, row.endMs);
+                    line.duration = msTimeToString(row.endMs - row.startMs, 4);
+                    labelWidth = Math.max(labelWidth, line.label.length);
+                    durationWidth = Math.max(durationWidth, line.duration.length);
+                    lines.push(line);
+
+                    // durations get the glyph and color of their type in order of appearance
+                    Y.Array.each(row.durations, function (duration) {
+                        if (!durationTypes.hasOwnProperty(duration.type)) {
+                            durationTypes[duration.type] = {
+                                type: duration.type,
+                                glyph: glyphs.durations[durationTypeList.length % glyphs.durations.length],
+                                color: (waterfall.colors && waterfall.colors[duration.type]) ||
+                                    DURATION_COLORS[durationTypeList.length % DURATION_COLORS.length]
+                            };
+                            durationTypeList.push(durationTypes[duration.type]);
+                        }
+                    });
+
+                    Y.Array.each(row.events, function (event) {
+                        var lineEvent = getEvent(event, (waterfall.events || []).length + events.length);
+                        include(lineEvent.startMs, lineEvent.endMs);
+                        lineEvent.row = row;
+                        line.events.push(lineEvent);
+                        events.push(lineEvent);
+                    });
+
+                    addLines(row.details, depth + 1);
+                });
+            },
+            getColumn = function (ms) {
+                return Math.round((ms - startMs) / ((endMs - startMs) || 1) * barWidth);
+            },
+            fill = function (cells, from, to, glyph, color, onlyEmpty) {
+                var i;
+                from = Math.min(from, barWidth - 1);
+                for (i = from; i < Math.max(to, from + 1) && i < barWidth; i++) {
+                    if (!onlyEmpty || cells[i].glyph === ' ') {
+                        cells[i] = {
+                            glyph: glyph,
+                            color: color
+                        };
+                    }
+                }
+            },
+            // cells with the same color are colored together
+            render = function (cells) {
+                var rendered = '',
+                    text = '',
+                    color;
+                Y.Array.each(cells.concat([{}]), function (cell) {
+                    if (cell.color !== color || cell.glyph === undefined) {
+                        rendered += options.colors ? colorText(text, color) : text;
+                        text = '';
+                        color = cell.color;
+                    }
+                    text += cell.glyph || '';
+                });
+                return rendered;
+            },
+            createCells = function () {
+                var cells = [],
+                    i;
+                for (i = 0; i < barWidth; i++) {
+                    cells.push({
+                        glyph: ' '
+                    });
+                }
+                return cells;
+            },
+            pad = function (text, length) {
+                text = String(text);
+                if (text.length > length) {
+                    return text.substr(0, length - 1) + glyphs.ellipsis;
+                }
+                return text + repeat(' ', length - text.length);
+            },
+            cells;
+
+        Y.Array.each(waterfall.events, function (event, index) {
+            var globalEvent = getEvent(event, index);
+            include(globalEvent.startMs, globalEvent.endMs);
+            globalEvents.push(globalEvent);
+        });
+        addLines(waterfall.rows, 0);
+
+        if (startMs === undefined) {
+            return '';
+        }
+
+        labelWidth = Math.min(labelWidth, Math.floor(width / 3));
+        barWidth = Math.max(width - labelWidth - durationWidth - 4, 10);
+
+        // the time scale, with the global events numbered below it
+        str += pad('Name', labelWidth) + ' |' + pad(msTimeToString(0), barWidth - msTimeToString(endMs - startMs, 4).length) +
+            msTimeToString(endMs - startMs, 4) + '|\n';
+        if (globalEvents.length > 0) {
+            cells = createCells();
+            Y.Array.each(globalEvents, function (event, index) {
+                fill(cells, getColumn(event.startMs), getColumn(event.endMs), glyphs.range, event.color, true);
+                fill(cells, getColumn(event.startMs), 0, index < 9 ? String(index + 1) : glyphs.marker, event.color);
+            });
+            str += pad('', labelWidth) + ' |' + render(cells) + '|\n';
+        }
+
+        Y.Array.each(lines, function (line) {
+            var row = line.row,
+                time = row.startMs;
+
+            cells = createCells();
+            Y.Array.each(globalEvents, function (event) {
+                fill(cells, getColumn(event.startMs), 0, glyphs.line, event.color);
+            });
+
+            // a row is at least one character wide, even if its durations round to nothing
+            if (row.durations && row.durations.length > 0) {
+                fill(cells, getColumn(row.startMs), 0, durationTypes[row.durations[0].type].glyph, durationTypes[row.durations[0].type].color);
+            }
+            Y.Array.each(row.durations, function (duration) {
+                var durationType = durationTypes[duration.type],
+                    from = getColumn(time);
+                time += toMs(duration.duration, unitMs);
+                if (getColumn(time) > from) {
+                    fill(cells, from, getColumn(time), durationType.glyph, durationType.color);
+                }
+            });
+
+            Y.Array.each(line.events, function (event) {
+                if (event.range) {
+                    fill(cells, getColumn(event.startMs), getColumn(event.endMs), glyphs.range, event.color, true);
+                }
+                fill(cells, getColumn(event.startMs), 0, glyphs.marker, event.color);
+            });
+
+            str += pad(line.label, labelWidth) + ' |' + render(cells) + '| ' + line.duration + '\n';
+        });
+
+        str += '\n';
+        Y.Array.each(durationTypeList, function (durationType, index) {
+            str += (index > 0 ? '  ' : 'Durations: ') + render([{
+                glyph: durationType.glyph,
+                color: durationType.color
+            }]) + ' ' + durationType.type;
+        });
+        str += durationTypeList.length > 0 ? '\n' : '';
+
+        Y.Array.each(globalEvents.concat(events), function (event, index) {
+            var marker = index < globalEvents.length ? (index < 9 ? String(index + 1) : glyphs.marker) : glyphs.marker;
+            str += (index > 0 ? '' : 'Events:\n') + '  ' + render([{
+                glyph: marker,
+                color: event.color
+            }]) + ' ' + event.type + (event.row ? ' (' + event.row.Name + ')' : '') + ' at ' +
+                msTimeToString(event.startMs - startMs, 4) + (event.range ? ' to ' + msTimeToString(event.endMs - startMs, 4) : '') + '\n';
+        });
+
+        str += 'Total Execution Time: ' + msTimeToString(endMs - startMs, 4) + '\n';
+
+        return str;
+    };
+
+    Waterfall.computeStats = function (waterfall, config) {
+        var stats = {},
+            units = waterfall.units || '',
+            minTime,
+            maxTime,
+            msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+            profileFilter = config && config.stats && config.stats.profileFilter,
+            configColumns = config && config.stats && config.stats.columns,
+            columns = getStatsColumns(configColumns),
+            hasUsage = false,
+            totalDurations = {},
+            statsTop = config && config.stats && config.stats.top,
+            statsFilter = config && config.stats && config.stats.statsFilter,
+            summarySorter = function (a, b) {
+                return b.Duration - a.Duration;
+            },
+            showSelfTime = waterfall.headers && waterfall.headers.indexOf('Self Time') !== -1,
+            addStat = function (profile, root, selfTime) {
+                if (Waterfall._executeExpression(profileFilter, profile) === false) {
+                    return;
+                }
+                var type = profile.type || profile.Name,
+                    start = profile.startMs,
+                    end = profile.endMs;
+
+                stats[type] = stats[type] || [];
                 stats[type].push({
                     startTime: start,
                     endTime: end,
+                    selfTime: selfTime === undefined ? end - start : selfTime,
+                    heapDelta: profile.usage && profile.usage.heapDelta,
+                    cpuTime: profile.usage && profile.usage.cpuTime,
                     root: root
                 });
+                hasUsage = hasUsage || Boolean(profile.usage);
 
                 minTime = minTime === undefined ? start : Math.min(start, minTime);
                 maxTime = maxTime === undefined ? end : Math.max(end, maxTime);
@@ -335,7 +1245,7 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                 var names = {};
                 // Make sure each row has ms times
                 Y.Array.each(rows, function (row) {
-                    getMsTime(row);
+                    setMsTimes(row, units);
                 });
                 rows.sort(function (a, b) {
                     return a.startMs > b.startMs ? 1 : a.startMs < b.startMs ? -1 : 0;
@@ -346,35 +1256,50 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                 });
 
                 Y.Array.each(rows, function (row) {
-                    var name = row.Name;
+                    var name = row.Name,
+                        selfTime;
                     if (names[name]) {
                         row.Name = name + ' (' + names[name] + ')';
                         names[name]++;
                     }
                     Y.Array.each(row.durations, function (duration) {
                         if (duration.type !== 'Elapsed Time') {
-                            getMsTime(duration);
+                            setMsTimes(duration, units);
                             addStat(duration, root);
                         }
                     });
-                    addStat(row, root || row.Name);
+                    selfTime = getSelfTime(row, units);
+                    if (showSelfTime) {
+                        row['Self Time'] = msTimeToString(selfTime, 4);
+                    }
+                    addStat(row, root || row.Name, selfTime);
                     getStats(row.details, root || row.Name);
                 });
             };
 
         getStats(waterfall.rows);
 
+        // resource usage is ranked by default when it was sampled
+        if (hasUsage && !configColumns) {
+            columns = columns.concat(USAGE_STATS_TYPES);
+        }
+
         Y.Object.each(stats, function (statArray, statType) {
-            var stat = {
+            var values = {
                     'Name': statType,
-                    'Calls': statArray.length,
-                    'Total Duration': 0,
-                    'Avg Duration': 0,
-                    'Min Duration': 0,
-                    'Max Duration': 0,
-                    summary: []
+                    'Calls': statArray.length
                 },
+                stat = {},
+                summary = [],
+                durations = [],
                 totalDuration = 0,
+                totalSelfTime = 0,
+                usage = {
+                    samples: 0,
+                    heapDelta: 0,
+                    cpuTime: 0
+                },
+                variance = 0,
                 minDuration = {},
                 maxDuration = {};
 
@@ -391,127 +1316,1213 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                 }
 
                 totalDuration += duration;
+                totalSelfTime += statValue.selfTime;
+                durations.push(duration);
+
+                if (typeof statValue.heapDelta === 'number') {
+                    usage.samples++;
+                    usage.heapDelta += statValue.heapDelta;
+                    usage.cpuTime += statValue.cpuTime;
+                }
 
-                stat.summary.push({
+                summary.push({
                     Name: name,
                     Duration: duration
                 });
-            });
+            });
+
+            durations.sort(function (a, b) {
+                return a - b;
+            });
+
+            values['Total Duration'] = totalDuration;
+            values['Self Time'] = totalSelfTime;
+            values['Avg Duration'] = totalDuration / statArray.length;
+            values['Avg Self Time'] = totalSelfTime / statArray.length;
+            values['Min Duration'] = minDuration.duration;
+            values['Max Duration'] = maxDuration.duration;
+            values['Median Duration'] = percentile(durations, 50);
+            if (usage.samples > 0) {
+                values['Total Heap Delta'] = usage.heapDelta;
+                values['Avg Heap Delta'] = usage.heapDelta / usage.samples;
+                values['Total CPU Time'] = usage.cpuTime;
+                values['Avg CPU Time'] = usage.cpuTime / usage.samples;
+            }
+
+            Y.Array.each(durations, function (duration) {
+                variance += Math.pow(duration - values['Avg Duration'], 2);
+            });
+            values['Std Dev'] = Math.sqrt(variance / durations.length);
+
+            // percentiles are available to the filter even if they are not columns
+            Y.Array.each(['P90 Duration', 'P95 Duration', 'P99 Duration'].concat(columns), function (column) {
+                var match = PERCENTILE_REGEX.exec(column);
+                if (match) {
+                    values[column] = percentile(durations, Number(match[1]));
+                }
+            });
+
+            // determine whether to add stat based on config
+            if (Waterfall._executeExpression(statsFilter, values) === false) {
+                delete stats[statType];
+                return;
+            }
+
+            Y.Array.each(columns, function (column) {
+                if (column === 'Name' || column === 'Calls') {
+                    stat[column] = values[column];
+                } else if (column === 'Min Duration') {
+                    stat[column] = msTimeToString(values[column], 4) + (minDuration.name === statType ? '' : ' (' + minDuration.name + ')');
+                } else if (column === 'Max Duration') {
+                    stat[column] = msTimeToString(values[column], 4) + (maxDuration.name === statType ? '' : ' (' + maxDuration.name + ')');
+                } else if (values[column] === undefined) {
+                    // durations have no resource usage
+                    stat[column] = '-';
+                } else if (column === 'Total Heap Delta' || column === 'Avg Heap Delta') {
+                    stat[column] = bytesToString(Math.round(values[column]));
+                } else {
+                    stat[column] = msTimeToString(values[column], 4);
+                }
+            });
+
+            // sort summary
+            summary.sort(summarySorter);
+            setSummaryValues(stat, {
+                calls: statArray.length,
+                totalMs: totalDuration,
+                avgMs: values['Avg Duration'],
+                durationsMs: []
+            });
+            // stringify durations
+            Y.Array.each(summary, function (summaryObj) {
+                stat.summaryValues.durationsMs.push(summaryObj.Duration);
+                summaryObj.Duration = msTimeToString(summaryObj.Duration, 4);
+            });
+            stat.summary = summary;
+
+            stats[statType] = stat;
+            totalDurations[statType] = totalDuration;
+        });
+
+        // only keep the stats that took the most time altogether
+        if (statsTop !== undefined) {
+            Y.Array.each(Y.Object.keys(totalDurations).sort(function (a, b) {
+                return totalDurations[b] - totalDurations[a];
+            }).slice(statsTop), function (statType) {
+                delete stats[statType];
+            });
+        }
+        stats.totalDuration = msTimeToString(maxTime - minTime, 4);
+
+        return stats;
+    };
+
+    /**
+     * Checks the performance budgets of a GUI-format waterfall. Each budget targets either a stat, by
+     * the same name as computeStats (a row type or name, or a duration type), a row, by its path of
+     * names such as 'Request/Render' (where '/' and ':' in names are escaped as in profile keys), or
+     * the total execution time, and sets limits that must not be exceeded:
+     *     {stat: 'Render', maxDuration: '20ms'} every Render takes at most 20ms,
+     *     {stat: 'Model', maxCalls: 5} there are at most 5 Model calls,
+     *     {stat: 'Model', maxTotalDuration: 50} all the Model calls take at most 50ms altogether,
+     *     {path: '/Request/Render', maxDuration: '20ms'} the Render row of Request takes at most 20ms,
+     *     {total: true, maxDuration: '300ms'} the whole waterfall takes at most 300ms.
+     * Durations are in ms or time strings. The rows that exceed a maxDuration get a violations array
+     * with the messages of their violations.
+     * @param {Object} waterfall
+     * @param {Array} budgets
+     * @return {Array} The violations, {stat, path or total, check: 'maxDuration', 'maxCalls' or
+     *     'maxTotalDuration', limit, actual, at: the path of the row for maxDuration checks, message},
+     *     where the limit and the actual value are in ms for durations.
+     */
+    Waterfall.checkBudgets = function (waterfall, budgets) {
+        var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+            msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+            units = waterfall.units || '',
+            violations = [],
+            occurrences = [],
+            startTime,
+            endTime,
+            getLimit = function (limit) {
+                return typeof limit === 'string' ? timeToMs(limit) : limit;
+            },
+            // duplicate sibling names made unique by computeStats match the original name
+            getBasePath = function (path) {
+                return String(path).replace(/ \(\d+\)(?=\/|:|$)/g, '');
+            },
+            addOccurrences = function (rows, parentPath) {
+                Y.Array.each(rows, function (row) {
+                    var path = parentPath + '/' + escapeKey(row.Name);
+
+                    setMsTimes(row, units);
+                    occurrences.push({
+                        stat: row.type || row.Name,
+                        path: path,
+                        duration: row.endMs - row.startMs,
+                        row: row
+                    });
+                    Y.Array.each(row.durations, function (duration) {
+                        if (duration.type !== 'Elapsed Time') {
+                            occurrences.push({
+                                stat: duration.type,
+                                path: path + ':' + escapeKey(duration.type),
+                                duration: timeToMs(duration.duration + (Number(duration.duration) ? units : '')),
+                                row: row
+                            });
+                        }
+                    });
+
+                    if (parentPath === '') {
+                        startTime = startTime === undefined ? row.startMs : Math.min(startTime, row.startMs);
+                        endTime = endTime === undefined ? row.endMs : Math.max(endTime, row.endMs);
+                    }
+                    if (Y.Lang.isArray(row.details)) {
+                        addOccurrences(row.details, path);
+                    }
+                });
+            },
+            addViolation = function (budget, check, actual, message, occurrence) {
+                var violation = {
+                    check: check,
+                    limit: getLimit(budget[check]),
+                    actual: actual,
+                    message: message
+                };
+                if (budget.total) {
+                    violation.total = true;
+                } else if (budget.path !== undefined) {
+                    violation.path = budget.path;
+                } else {
+                    violation.stat = budget.stat;
+                }
+                if (occurrence) {
+                    violation.at = occurrence.path;
+                    occurrence.row.violations = occurrence.row.violations || [];
+                    occurrence.row.violations.push(message);
+                }
+                violations.push(violation);
+            };
+
+        // computing the stats gives duplicate sibling names a unique name
+        waterfall.stats = waterfall.stats || Waterfall.computeStats(waterfall);
+        addOccurrences(waterfall.rows, '');
+
+        Y.Array.each(budgets, function (budget) {
+            var path = budget.path !== undefined ? '/' + String(budget.path).replace(/^\/+/, '') : undefined,
+                target = budget.path !== undefined ? path : '\'' + budget.stat + '\'',
+                matches = [],
+                totalDuration = 0;
+
+            if (budget.total) {
+                if (budget.maxDuration !== undefined && endTime - startTime > getLimit(budget.maxDuration)) {
+                    addViolation(budget, 'maxDuration', endTime - startTime, 'The total execution time of ' +
+                        msTimeToString(endTime - startTime, 4) + ' is over its budget of ' + msTimeToString(getLimit(budget.maxDuration), 4) + '.');
+                }
+                return;
+            }
+
+            Y.Array.each(occurrences, function (occurrence) {
+                var matched = path !== undefined ? getBasePath(occurrence.path) === getBasePath(path) :
+                        occurrence.stat === budget.stat || getBasePath(occurrence.stat) === budget.stat;
+                if (matched) {
+                    matches.push(occurrence);
+                    totalDuration += occurrence.duration;
+                }
+            });
+
+            if (budget.maxDuration !== undefined) {
+                Y.Array.each(matches, function (occurrence) {
+                    if (occurrence.duration > getLimit(budget.maxDuration)) {
+                        addViolation(budget, 'maxDuration', occurrence.duration, target + ' took ' + msTimeToString(occurrence.duration, 4) +
+                            (path === undefined ? ' at ' + occurrence.path : '') + ', over its budget of ' +
+                            msTimeToString(getLimit(budget.maxDuration), 4) + '.', occurrence);
+                    }
+                });
+            }
+            if (budget.maxCalls !== undefined && matches.length > budget.maxCalls) {
+                addViolation(budget, 'maxCalls', matches.length, target + ' was called ' + matches.length +
+                    ' times, over its budget of ' + budget.maxCalls + '.');
+            }
+            if (budget.maxTotalDuration !== undefined && totalDuration > getLimit(budget.maxTotalDuration)) {
+                addViolation(budget, 'maxTotalDuration', totalDuration, target + ' took ' + msTimeToString(totalDuration, 4) +
+                    ' in total, over its budget of ' + msTimeToString(getLimit(budget.maxTotalDuration), 4) + '.');
+            }
+        });
+
+        return violations;
+    };
+
+    /**
+     * Computes the critical path of a GUI-format waterfall, i.e. the chain of rows that determined its
+     * total execution time. Starting from the row that ends last, each step is preceded by the sibling
+     * that ended last before it started, and the path descends into the children of each step in the
+     * same way. The rows on the path are marked as critical.
+     * @param {Object} waterfall
+     * @return {Array} The steps of the path in order, {Name, path, depth, startTime, duration, contribution,
+     *     percentage}, where the times are in ms and the contribution is the time of the step not covered
+     *     by its children on the path.
+     */
+    Waterfall.computeCriticalPath = function (waterfall) {
+        var units = waterfall.units || '',
+            rows = waterfall.rows || [],
+            startTime,
+            endTime,
+            steps,
+            findLatest = function (rows, until, chain) {
+                var latest;
+                Y.Array.each(rows, function (row) {
+                    setMsTimes(row, units);
+                    if (row.endMs <= until && chain.indexOf(row) === -1 &&
+                            (!latest || row.endMs > latest.endMs || (row.endMs === latest.endMs && row.startMs < latest.startMs))) {
+                        latest = row;
+                    }
+                });
+                return latest;
+            },
+            getSteps = function (rows, from, until, depth, parentPath) {
+                var chain = [],
+                    steps = [],
+                    row = findLatest(rows, until, chain);
+
+                while (row) {
+                    chain.unshift(row);
+                    row = findLatest(rows, row.startMs, chain);
+                }
+
+                Y.Array.each(chain, function (row) {
+                    var step = {
+                            Name: row.Name,
+                            path: parentPath + '/' + row.Name,
+                            depth: depth,
+                            startTime: Math.max(row.startMs, from),
+                            duration: row.endMs - Math.max(row.startMs, from)
+                        },
+                        childSteps = Y.Lang.isArray(row.details) ?
+                                getSteps(row.details, step.startTime, row.endMs, depth + 1, step.path) : [];
+
+                    row.critical = true;
+                    step.contribution = step.duration;
+                    Y.Array.each(childSteps, function (childStep) {
+                        if (childStep.depth === depth + 1) {
+                            step.contribution -= childStep.duration;
+                        }
+                    });
+                    steps = steps.concat([step], childSteps);
+                });
+
+                return steps;
+            };
+
+        Y.Array.each(rows, function (row) {
+            setMsTimes(row, units);
+            startTime = startTime === undefined ? row.startMs : Math.min(startTime, row.startMs);
+        });
+
+        steps = getSteps(rows, -Infinity, Infinity, 0, '');
+
+        Y.Array.each(steps, function (step) {
+            endTime = endTime === undefined ? step.startTime + step.duration : Math.max(endTime, step.startTime + step.duration);
+        });
+        Y.Array.each(steps, function (step) {
+            step.percentage = endTime > startTime ? 100 * step.contribution / (endTime - startTime) : 0;
+        });
+
+        return steps;
+    };
+
+    /**
+     * Compares two GUI-format waterfalls, for example profiles of a request before and after a change.
+     * Rows are matched by their path of names, stats by name, and both are compared by duration and
+     * self time; stats also by number of calls. Stats are computed from copies of the rows, so the stats
+     * columns do not matter and the waterfalls are not modified.
+     * @param {Object} a The baseline waterfall.
+     * @param {Object} b The waterfall compared to the baseline.
+     * @param {Object} options Optional, {threshold: percentage change flagged, defaults to 10,
+     *     minDelta: minimum time change flagged, in ms or a time string such as '2ms', defaults to 0}.
+     * @return {Object} {threshold, totalDuration, stats, rows, added, removed}. Each change is
+     *     {a, b, delta, percentage}, in ms for times, where percentage is null if a is 0. stats are
+     *     {Name, status: 'changed', 'added' or 'removed', calls, duration, selfTime, flagged}, rows are
+     *     the matched rows {path, duration, selfTime, flagged}, and added and removed are row paths.
+     */
+    Waterfall.diff = function (a, b, options) {
+        options = options || {};
+
+        var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+            threshold = options.threshold !== undefined ? options.threshold : DIFF_THRESHOLD,
+            minDelta = typeof options.minDelta === 'string' ? timeToMs(options.minDelta) : options.minDelta || 0,
+            diff = {
+                threshold: threshold,
+                stats: [],
+                rows: [],
+                added: [],
+                removed: []
+            },
+            measuresA,
+            measuresB,
+            compare = function (valueA, valueB) {
+                return {
+                    a: valueA,
+                    b: valueB,
+                    delta: valueB - valueA,
+                    percentage: valueA ? 100 * (valueB - valueA) / valueA : null
+                };
+            },
+            isFlagged = function (change, isTime) {
+                return change.delta !== 0 && Math.abs(change.delta) >= (isTime ? minDelta : 0) &&
+                    (change.percentage === null || Math.abs(change.percentage) >= threshold);
+            },
+            // the durations of the rows by path and the totals of the stats by name, measured on a copy
+            // such that the waterfall is not modified
+            measure = function (original) {
+                var waterfall = {
+                        units: 'ms',
+                        rows: copyRows(original.rows, timeToMs('1' + (original.units || 'ms')), 0)
+                    },
+                    units = waterfall.units,
+                    measures = {
+                        rows: {},
+                        paths: [],
+                        stats: {},
+                        names: []
+                    },
+                    addStat = function (name, duration, selfTime) {
+                        if (!measures.stats[name]) {
+                            measures.stats[name] = {
+                                calls: 0,
+                                duration: 0,
+                                selfTime: 0
+                            };
+                            measures.names.push(name);
+                        }
+                        measures.stats[name].calls++;
+                        measures.stats[name].duration += duration;
+                        measures.stats[name].selfTime += selfTime;
+                    },
+                    addRows = function (rows, parentPath) {
+                        Y.Array.each(rows, function (row) {
+                            var path = parentPath + '/' + escapeKey(row.Name),
+                                selfTime;
+
+                            setMsTimes(row, units);
+                            selfTime = getSelfTime(row, units);
+                            measures.rows[path] = {
+                                duration: row.endMs - row.startMs,
+                                selfTime: selfTime
+                            };
+                            measures.paths.push(path);
+                            addStat(row.type || row.Name, row.endMs - row.startMs, selfTime);
+
+                            Y.Array.each(row.durations, function (duration) {
+                                var ms = timeToMs(duration.duration + (Number(duration.duration) ? units : ''));
+                                if (duration.type !== 'Elapsed Time') {
+                                    addStat(duration.type, ms, ms);
+                                }
+                            });
+
+                            if (parentPath === '') {
+                                measures.startTime = measures.startTime === undefined ? row.startMs : Math.min(measures.startTime, row.startMs);
+                                measures.endTime = measures.endTime === undefined ? row.endMs : Math.max(measures.endTime, row.endMs);
+                            }
+                            if (Y.Lang.isArray(row.details)) {
+                                addRows(row.details, path);
+                            }
+                        });
+                    };
+
+                // computing the stats gives duplicate sibling names a unique name
+                Waterfall.computeStats(waterfall);
+                addRows(waterfall.rows, '');
+                return measures;
+            };
+
+        measuresA = measure(a);
+        measuresB = measure(b);
+
+        diff.totalDuration = compare((measuresA.endTime - measuresA.startTime) || 0, (measuresB.endTime - measuresB.startTime) || 0);
+
+        Y.Array.each(measuresA.names.concat(measuresB.names), function (name) {
+            var statA = measuresA.stats[name],
+                statB = measuresB.stats[name],
+                empty = {
+                    calls: 0,
+                    duration: 0,
+                    selfTime: 0
+                },
+                stat;
+
+            // names in both waterfalls were already compared
+            if (!statA && !statB) {
+                return;
+            }
+            stat = {
+                Name: name,
+                status: !statA ? 'added' : !statB ? 'removed' : 'changed',
+                calls: compare((statA || empty).calls, (statB || empty).calls),
+                duration: compare((statA || empty).duration, (statB || empty).duration),
+                selfTime: compare((statA || empty).selfTime, (statB || empty).selfTime)
+            };
+            stat.flagged = isFlagged(stat.calls) || isFlagged(stat.duration, true) || isFlagged(stat.selfTime, true);
+            diff.stats.push(stat);
+            delete measuresA.stats[name];
+            delete measuresB.stats[name];
+        });
+
+        Y.Array.each(measuresB.paths, function (path) {
+            var rowA = measuresA.rows[path],
+                rowB = measuresB.rows[path],
+                row;
+
+            if (!rowA) {
+                diff.added.push(path);
+                return;
+            }
+            row = {
+                path: path,
+                duration: compare(rowA.duration, rowB.duration),
+                selfTime: compare(rowA.selfTime, rowB.selfTime)
+            };
+            row.flagged = isFlagged(row.duration, true) || isFlagged(row.selfTime, true);
+            diff.rows.push(row);
+        });
+
+        Y.Array.each(measuresA.paths, function (path) {
+            if (!measuresB.rows[path]) {
+                diff.removed.push(path);
+            }
+        });
+
+        return diff;
+    };
+
+    /**
+     * Formats the result of Waterfall.diff as ASCII tables in the style of getSummary.
+     * @param {Object} diff
+     * @return {String}
+     */
+    Waterfall.getDiffSummary = function (diff) {
+        var msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+            stats = [],
+            rows = [],
+            formatChange = function (change, isTime) {
+                var format = function (value) {
+                        return isTime ? msTimeToString(value, 4) : String(value);
+                    };
+                return format(change.a) + ' -> ' + format(change.b) + ' (' + (change.delta > 0 ? '+' : '') + format(change.delta) +
+                    (change.percentage === null ? '' : ', ' + (change.percentage > 0 ? '+' : '') + change.percentage.toFixed(1) + '%') + ')';
+            },
+            getFlag = function (change) {
+                if (change.flagged) {
+                    return change.duration.delta > 0 ? 'SLOWER' : change.duration.delta < 0 ? 'FASTER' : 'CHANGED';
+                }
+                return '';
+            },
+            statStr;
+
+        Y.Array.each(diff.stats, function (stat) {
+            stats.push({
+                'Name': stat.Name,
+                'Calls': formatChange(stat.calls),
+                'Total Duration': formatChange(stat.duration, true),
+                'Self Time': formatChange(stat.selfTime, true),
+                'Flag': stat.status === 'changed' ? getFlag(stat) : stat.status.toUpperCase()
+            });
+        });
+        Y.Array.each(diff.rows, function (row) {
+            rows.push({
+                'Path': row.path,
+                'Duration': formatChange(row.duration, true),
+                'Self Time': formatChange(row.selfTime, true),
+                'Flag': getFlag(row)
+            });
+        });
+
+        statStr = 'Stats:\n' + formatTable(['Name', 'Calls', 'Total Duration', 'Self Time', 'Flag'], stats) +
+            '\nRows:\n' + formatTable(['Path', 'Duration', 'Self Time', 'Flag'], rows);
+
+        if (diff.added.length > 0) {
+            statStr += '\nAdded rows:\n  ' + diff.added.join('\n  ') + '\n';
+        }
+        if (diff.removed.length > 0) {
+            statStr += '\nRemoved rows:\n  ' + diff.removed.join('\n  ') + '\n';
+        }
+
+        statStr += '\nTotal Execution Time: ' + formatChange(diff.totalDuration, true) + '\n' +
+            'Changes of at least ' + diff.threshold + '% are flagged.\n';
+
+        return statStr;
+    };
+
+    /**
+     * Merges several GUI-format waterfalls (as returned by getGui) into a single waterfall.
+     * All times are converted to ms and each waterfall is shifted by its clock offset so that
+     * the timelines line up. The rows of each waterfall are grouped under a top level row
+     * named after its source.
+     * @param {Array} sources Waterfalls, or objects of the form {name, waterfall, offset}.
+     *     The offset is the time (in ms or a time string such as '2.5ms') added to all the times
+     *     of the waterfall. If omitted, it is estimated by aligning the first event that the
+     *     waterfall has in common with the first waterfall; otherwise both timelines are assumed
+     *     to start at the same time.
+     * @param {Object} config Optional configuration used to compute the stats.
+     * @return {Object} The merged waterfall.
+     */
+    Waterfall.mergeWaterfalls = function (sources, config) {
+        var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+            msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+            merged = {
+                headers: ['Name'],
+                rows: [],
+                units: 'ms',
+                events: [],
+                counters: [],
+                summary: {}
+            },
+            referenceEvents = {},
+            minTime,
+            maxTime,
+            shiftEvent = function (event, shift) {
+                event.time -= shift;
+                if (event.endTime !== undefined) {
+                    event.endTime -= shift;
+                }
+            },
+            shiftRows = function (rows, shift) {
+                Y.Array.each(rows, function (row) {
+                    row.startTime -= shift;
+                    row.endTime -= shift;
+                    Y.Array.each(row.events, function (event) {
+                        shiftEvent(event, shift);
+                    });
+                    if (Y.Lang.isArray(row.details)) {
+                        shiftRows(row.details, shift);
+                    }
+                });
+            };
+
+        Y.Array.each(sources, function (source, index) {
+            var waterfall = source.waterfall || source,
+                name = source.name || waterfall.name || 'Waterfall ' + (index + 1),
+                unitMs = timeToMs('1' + (waterfall.units || 'ms')),
+                offset = source.offset,
+                rows,
+                sourceRow;
+
+            // estimate the offset by finding an event in common with the first waterfall
+            if (offset === undefined && index > 0) {
+                Y.Array.some(waterfall.events, function (event) {
+                    if (referenceEvents[event.type] !== undefined) {
+                        offset = referenceEvents[event.type] - toMs(event.time, unitMs);
+                        return true;
+                    }
+                });
+            }
+            offset = offset === undefined ? 0 : typeof offset === 'number' ? offset : timeToMs(offset);
+
+            Y.Array.each(waterfall.headers, function (header) {
+                if (header !== 'Timeline' && merged.headers.indexOf(header) === -1) {
+                    merged.headers.push(header);
+                }
+            });
+
+            Y.Array.each(waterfall.events, function (event) {
+                var copy = copyEvent(event, unitMs, offset),
+                    time = copy.time;
+                if (index === 0 && referenceEvents[event.type] === undefined) {
+                    referenceEvents[event.type] = time;
+                }
+                copy.source = name;
+                merged.events.push(copy);
+                minTime = minTime === undefined ? time : Math.min(minTime, time);
+                maxTime = maxTime === undefined ? time : Math.max(maxTime, copy.endTime !== undefined ? copy.endTime : time);
+            });
+            if (waterfall.eventCategories) {
+                merged.eventCategories = Y.merge(merged.eventCategories, waterfall.eventCategories);
+            }
+
+            Y.Array.each(waterfall.counters, function (counter) {
+                var track = Y.merge(counter, {
+                    source: name,
+                    values: []
+                });
+                Y.Array.each(counter.values, function (value) {
+                    var time = toMs(value.time, unitMs) + offset;
+                    track.values.push(Y.merge(value, {
+                        time: time
+                    }));
+                    minTime = minTime === undefined ? time : Math.min(minTime, time);
+                    maxTime = maxTime === undefined ? time : Math.max(maxTime, time);
+                });
+                merged.counters.push(track);
+            });
+
+            rows = copyRows(waterfall.rows, unitMs, offset);
+            if (rows.length === 0) {
+                return;
+            }
+
+            // group the rows of this waterfall under a top level row
+            sourceRow = {
+                Name: name,
+                details: rows
+            };
+            Y.Array.each(rows, function (row) {
+                sourceRow.startTime = sourceRow.startTime === undefined ? row.startTime : Math.min(sourceRow.startTime, row.startTime);
+                sourceRow.endTime = sourceRow.endTime === undefined ? row.endTime : Math.max(sourceRow.endTime, row.endTime);
+            });
+            sourceRow.durations = [{
+                type: 'Elapsed Time',
+                duration: sourceRow.endTime - sourceRow.startTime
+            }];
+            merged.rows.push(sourceRow);
+
+            minTime = minTime === undefined ? sourceRow.startTime : Math.min(minTime, sourceRow.startTime);
+            maxTime = maxTime === undefined ? sourceRow.endTime : Math.max(maxTime, sourceRow.endTime);
+        });
+
+        // make the merged timeline start at 0
+        if (minTime) {
+            shiftRows(merged.rows, minTime);
+            Y.Array.each(merged.events, function (event) {
+                shiftEvent(event, minTime);
+            });
+            Y.Array.each(merged.counters, function (counter) {
+                Y.Array.each(counter.values, function (value) {
+                    value.time -= minTime;
+                });
+            });
+        }
+        merged.events.sort(function (a, b) {
+            return a.time - b.time;
+        });
+
+        merged.stats = Waterfall.computeStats(merged, config);
+        merged.criticalPath = Waterfall.computeCriticalPath(merged);
+        if (config && config.budgets) {
+            merged.violations = Waterfall.checkBudgets(merged, config.budgets);
+        }
+
+        merged.summary = {
+            Timeline: escape('<div style="text-align:right">' +
+                            'Total Execution Time: ' +
+                            msTimeToString(maxTime === undefined ? 0 : maxTime - minTime, 4) + '</div>')
+        };
+
+        return merged;
+    };
+
+    /**
+     * Aggregates the waterfalls of many requests into a single representative GUI-format waterfall.
+     * Rows are matched by their path of names. Each row starts at the median of its start times,
+     * relative to the start of their waterfall, and lasts the median of its durations; its phases
+     * are the medians of each phase, scaled to add up to that duration. Events are placed at their
+     * median time. The stats are computed over the rows of all the waterfalls.
+     * @param {Array} inputs GUI-format waterfalls, or call logs returned by toCalls.
+     * @param {Object} config Optional configuration used to rebuild the call logs and to compute the
+     *     stats, and percentiles: the percentiles computed besides the median, defaults to [10, 90].
+     * @return {Object} The aggregate waterfall, whose rows also have their number of occurrences
+     *     ('Occurrences'), the percentiles of their start time and duration, {startTime: {p10, p50, p90},
+     *     duration: {...}}, and the spread of their end time between the lowest and highest percentile,
+     *     {low, high}. runs is the number of waterfalls.
+     */
+    Waterfall.aggregate = function (inputs, config) {
+        var timeToMs = Y.mojito.Waterfall.Time.timeToMs,
+            msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+            percentiles = [50].concat((config && config.percentiles) || AGGREGATE_PERCENTILES),
+            lowPercentile = 'p' + Math.min.apply(Math, percentiles),
+            highPercentile = 'p' + Math.max.apply(Math, percentiles),
+            aggregate = {
+                headers: ['Name'],
+                rows: [],
+                units: 'ms',
+                events: [],
+                runs: 0,
+                summary: {}
+            },
+            samples = {
+                headers: ['Name'],
+                rows: [],
+                units: 'ms'
+            },
+            nodes = {},
+            roots = [],
+            events = {},
+            eventTypes = [],
+            totalDurations = [],
+            sortValues = function (values) {
+                return values.sort(function (a, b) {
+                    return a - b;
+                });
+            },
+            getPercentiles = function (values) {
+                var result = {};
+                sortValues(values);
+                Y.Array.each(percentiles, function (p) {
+                    result['p' + p] = percentile(values, p);
+                });
+                return result;
+            },
+            // group the occurrences of the rows by path, keeping the order in which the paths appear
+            addRows = function (rows, parentPath, siblings) {
+                Y.Array.each(rows, function (row) {
+                    var path = parentPath + '/' + escapeKey(row.Name),
+                        node = nodes[path];
+
+                    if (!node) {
+                        node = nodes[path] = {
+                            row: row,
+                            startTimes: [],
+                            durations: [],
+                            phases: {},
+                            phaseTypes: [],
+                            children: []
+                        };
+                        siblings.push(node);
+                    }
+                    node.startTimes.push(row.startTime);
+                    node.durations.push(row.endTime - row.startTime);
+                    Y.Array.each(row.durations, function (duration) {
+                        if (!node.phases[duration.type]) {
+                            node.phases[duration.type] = [];
+                            node.phaseTypes.push(duration.type);
+                        }
+                        node.phases[duration.type].push(duration.duration);
+                    });
+                    if (Y.Lang.isArray(row.details)) {
+                        addRows(row.details, path, node.children);
+                    }
+                });
+            },
+            createRows = function (nodes) {
+                var rows = [];
+                Y.Array.each(nodes, function (node) {
+                    var row = Y.merge(node.row),
+                        phasesDuration = 0;
+
+                    delete row.critical;
+                    delete row.events;
+                    delete row.details;
+
+                    row.percentiles = {
+                        startTime: getPercentiles(node.startTimes),
+                        duration: getPercentiles(node.durations)
+                    };
+                    row.Occurrences = node.startTimes.length;
+                    row.startTime = row.percentiles.startTime.p50;
+                    row.endTime = row.startTime + row.percentiles.duration.p50;
+                    row.spread = {
+                        low: row.startTime + row.percentiles.duration[lowPercentile],
+                        high: row.startTime + row.percentiles.duration[highPercentile]
+                    };
+
+                    row.durations = [];
+                    Y.Array.each(node.phaseTypes, function (type) {
+                        row.durations.push({
+                            type: type,
+                            duration: percentile(sortValues(node.phases[type]), 50)
+                        });
+                        phasesDuration += row.durations[row.durations.length - 1].duration;
+                    });
+                    Y.Array.each(row.durations, function (duration) {
+                        duration.duration = phasesDuration ? duration.duration * (row.endTime - row.startTime) / phasesDuration : 0;
+                    });
+
+                    if (node.children.length > 0) {
+                        row.details = createRows(node.children);
+                    }
+                    rows.push(row);
+                });
+                return rows;
+            };
 
-            stat['Total Duration'] = totalDuration;
-            stat['Avg Duration'] = totalDuration / statArray.length;
-            stat['Min Duration'] = minDuration.duration;
-            stat['Max Duration'] = maxDuration.duration;
+        Y.Array.each(inputs, function (input) {
+            var waterfall = input.calls ? Waterfall.fromCalls(input, config).getGui() : input,
+                unitMs = timeToMs('1' + (waterfall.units || 'ms')),
+                startTime,
+                endTime,
+                rows;
 
-            // determine whether to add stat based on config
-            if (Waterfall._executeExpression(statsFilter, stat) === false) {
-                return;
-            }
+            // the times of each waterfall are relative to its start
+            Y.Array.each(waterfall.rows, function (row) {
+                startTime = startTime === undefined ? toMs(row.startTime, unitMs) : Math.min(startTime, toMs(row.startTime, unitMs));
+            });
+            Y.Array.each(waterfall.events, function (event) {
+                startTime = startTime === undefined ? toMs(event.time, unitMs) : Math.min(startTime, toMs(event.time, unitMs));
+            });
+            startTime = startTime || 0;
+
+            rows = copyRows(waterfall.rows, unitMs, -startTime);
+            Y.Array.each(rows, function (row) {
+                endTime = endTime === undefined ? row.endTime : Math.max(endTime, row.endTime);
+                // top level rows of different waterfalls have the same name, which should not be made unique
+                row.type = row.type || row.Name;
+                samples.rows.push(row);
+            });
+            addRows(rows, '', roots);
+            totalDurations.push(endTime || 0);
 
-            stat['Total Duration'] = msTimeToString(stat['Total Duration'], 4);
-            stat['Avg Duration'] = msTimeToString(stat['Avg Duration'], 4);
-            stat['Min Duration'] = msTimeToString(stat['Min Duration'], 4) + (minDuration.name === statType ? '' : ' (' + minDuration.name + ')');
-            stat['Max Duration'] = msTimeToString(stat['Max Duration'], 4) + (maxDuration.name === statType ? '' : ' (' + maxDuration.name + ')');
+            Y.Array.each(waterfall.events, function (event) {
+                if (!events[event.type]) {
+                    events[event.type] = [];
+                    eventTypes.push(event.type);
+                }
+                events[event.type].push(copyEvent(event, unitMs, -startTime).time);
+            });
 
-            // sort summary
-            stat.summary.sort(summarySorter);
-            // stringify durations
-            Y.Array.each(stat.summary, function (summary) {
-                summary.Duration = msTimeToString(summary.Duration, 4);
+            Y.Array.each(waterfall.headers, function (header) {
+                if (header !== 'Timeline' && aggregate.headers.indexOf(header) === -1) {
+                    aggregate.headers.push(header);
+                }
             });
+            aggregate.runs++;
+        });
 
-            stats[statType] = stat;
+        aggregate.headers.push('Occurrences');
+        aggregate.rows = createRows(roots);
+
+        Y.Array.each(eventTypes, function (type) {
+            aggregate.events.push({
+                type: type,
+                time: percentile(sortValues(events[type]), 50),
+                occurrences: events[type].length
+            });
         });
-        stats.totalDuration = msTimeToString(maxTime - minTime, 4);
 
-        return stats;
+        // computing the stats of the aggregate rows sets their self time, but the stats are those of all the samples
+        samples.headers = aggregate.headers;
+        Waterfall.computeStats(aggregate, config);
+        aggregate.stats = Waterfall.computeStats(samples, config);
+        aggregate.criticalPath = Waterfall.computeCriticalPath(aggregate);
+        if (config && config.budgets) {
+            aggregate.violations = Waterfall.checkBudgets(aggregate, config.budgets);
+        }
+
+        aggregate.summary = {
+            Timeline: escape('<div style="text-align:right">' +
+                            'Median Execution Time: ' +
+                            msTimeToString(totalDurations.length ? percentile(sortValues(totalDurations), 50) : 0, 4) +
+                            ' (' + aggregate.runs + ' runs)</div>')
+        };
+
+        return aggregate;
     };
 
-    Waterfall.mergeWaterfalls = function () {
+    /**
+     * Rebuilds a waterfall from a call log returned by toCalls, such that getGui and getSummary can
+     * be computed again, for example with different headers or stats configuration.
+     * @param {Object} log The call log, {version, calls}.
+     * @param {Object} config Optional configuration of the rebuilt waterfall.
+     * @return {Waterfall} The waterfall, which can still be profiled into.
+     * @throws {Error} If the version of the call log is not supported.
+     */
+    Waterfall.fromCalls = function (log, config) {
+        // all the calls of the log are replayed
+        var waterfall = new Waterfall(Y.merge(config, {
+                sampleRate: undefined
+            })),
+            handles = {};
+
+        if (!log || log.version !== CALLS_VERSION) {
+            throw new Error('Unsupported call log version: ' + (log && log.version) + '.');
+        }
+
+        Y.Array.each(log.calls, function (call) {
+            var options = {
+                    time: waterfall._msToClock(call.time),
+                    usage: call.usage || null
+                },
+                handle;
+
+            if (call.type === 'start') {
+                options.handle = call.handle !== undefined;
+                handle = waterfall.start(call.profileKey, call.data, options);
+                if (options.handle) {
+                    handles[call.handle] = handle;
+                }
+            } else if (call.type === 'end') {
+                waterfall.end(call.handle !== undefined && handles[call.handle] ? handles[call.handle] : call.profileKey, call.data, options);
+            } else if (call.type === 'event') {
+                options.endTime = call.endTime !== undefined ? waterfall._msToClock(call.endTime) : undefined;
+                options.category = call.category;
+                options.profileKey = call.profileKey;
+                waterfall.event(call.name, call.data, options);
+            } else if (call.type === 'counter') {
+                waterfall.counter(call.name, call.value, call.data, options);
+            }
+        });
 
+        return waterfall;
     };
 
     Waterfall.prototype = {
 
         configure: function (config) {
+            this.config = this.config || {};
             Y.mix(this.config, config, true, null, 0, true);
+            this._applyConfig();
         },
 
-        start: function (profileKey, data) {
-            var time = Waterfall._now();
-            this._calls.push({
-                profileKey: profileKey,
+        /**
+         * Starts a profile.
+         * @param {String|Array} profileKey The key, or an array of names which may contain '/' and ':'.
+         * @param {Object} data
+         * @param {Object} options Optional; if options.handle is true, a ProfileHandle is returned
+         *     instead of the start time, which ends exactly this profile. options.time sets the time
+         *     of the call (in the units of the waterfall's clock) instead of now, and options.usage
+         *     the resource usage sample, {heap, cpu}, instead of the current one.
+         * @return {Number|Array|ProfileHandle} The start time or a handle to the profile.
+         */
+        start: function (profileKey, data, options) {
+            var key = keyToString(profileKey),
+                time = options && options.time !== undefined ? options.time : this._now(),
+                handle = options && options.handle ? new ProfileHandle(this, key, time) : undefined;
+            this._record({
+                profileKey: key,
                 time: time,
                 data: data,
+                handle: handle,
+                usage: options && options.usage !== undefined ? options.usage : (this._usage ? sampleUsage() : undefined),
                 type: 'start'
             });
-            return time;
+            return handle || time;
         },
 
-        end: function (profileKey, data) {
-            var time = Waterfall._now();
-            this._calls.push({
+        /**
+         * Ends a profile.
+         * @param {String|Array|ProfileHandle} profileKey The key of the profile, or the handle returned by start.
+         * @param {Object} data
+         * @param {Object} options Optional; options.time sets the time of the call instead of now,
+         *     and options.usage the resource usage sample.
+         * @return {Number|Array} The end time.
+         */
+        end: function (profileKey, data, options) {
+            var time = options && options.time !== undefined ? options.time : this._now(),
+                handle = profileKey instanceof ProfileHandle ? profileKey : undefined;
+            this._record({
                 time: time,
-                profileKey: profileKey,
+                profileKey: handle ? handle.profileKey : keyToString(profileKey),
                 data: data,
+                handle: handle,
+                usage: options && options.usage !== undefined ? options.usage : (this._usage ? sampleUsage() : undefined),
                 type: 'end'
             });
             return time;
         },
 
-        event: function (name, data) {
-            var time = Waterfall._now();
-            this._calls.push({
+        /**
+         * Wraps a function such that every call to it is profiled. The profile ends when the
+         * function returns or throws, or, if it returns a thenable, when the thenable settles.
+         * Functions that complete through a Node-style callback opt in with options.callback, in
+         * which case the profile ends when the callback is called. Failures are recorded in the
+         * profile data as status 'error' along with the error message.
+         * @param {String|Array} profileKey
+         * @param {Function} fn
+         * @param {Object} data Optional data added to every profile.
+         * @param {Object} options Optional, {callback: true if the last argument is the completion
+         *     callback, or the index of the callback argument}.
+         * @return {Function} The instrumented function.
+         */
+        wrap: function (profileKey, fn, data, options) {
+            var self = this,
+                callbackOption = options && options.callback;
+
+            return function () {
+                var args = Array.prototype.slice.call(arguments),
+                    callbackIndex = callbackOption === true ? args.length - 1 : callbackOption,
+                    callback = typeof callbackIndex === 'number' && typeof args[callbackIndex] === 'function' ? args[callbackIndex] : null,
+                    handle = self.start(profileKey, data, {handle: true}),
+                    ended = false,
+                    end = function (failed, error) {
+                        // a promise or callback can settle after the waterfall has been finalized
+                        if (ended || !handle || self.waterfall) {
+                            return;
+                        }
+                        ended = true;
+                        handle.end(failed ? {
+                            status: 'error',
+                            error: error && error.message ? error.message : String(error)
+                        } : undefined);
+                    },
+                    result;
+
+                if (callback) {
+                    args[callbackIndex] = function (error) {
+                        end(!!error, error);
+                        return callback.apply(this, arguments);
+                    };
+                }
+
+                try {
+                    result = fn.apply(this, args);
+                } catch (e) {
+                    end(true, e);
+                    throw e;
+                }
+
+                if (result && typeof result.then === 'function') {
+                    result.then(function () {
+                        end(false);
+                    }, function (error) {
+                        end(true, error);
+                    });
+                } else if (!callback) {
+                    end(false);
+                }
+
+                return result;
+            };
+        },
+
+        /**
+         * Wraps all the methods of an object (such as a model) in place, profiling each method
+         * with the key '<profileKey>/<method name>'.
+         * @param {String|Array} profileKey
+         * @param {Object} object
+         * @param {Object} data Optional data added to every profile.
+         * @param {Object} options Optional, see wrap.
+         * @return {Object} The object.
+         */
+        wrapObject: function (profileKey, object, data, options) {
+            var name;
+
+            for (name in object) {
+                if (typeof object[name] === 'function') {
+                    object[name] = this.wrap(Y.Lang.isArray(profileKey) ? profileKey.concat([name]) : profileKey + '/' + escapeKey(name), object[name], data, options);
+                }
+            }
+
+            return object;
+        },
+
+        /**
+         * Records an event, either an instant or a range such as a GC pause.
+         * @param {String} name
+         * @param {Object} data
+         * @param {Object} options Optional; options.time sets the time of the event instead of now,
+         *     options.endTime makes the event a range ending at that time, options.category is one of
+         *     config.eventCategories, and options.profileKey attaches the event to the row of that
+         *     profile instead of the whole waterfall.
+         * @return {Number|Array} The time of the event.
+         */
+        event: function (name, data, options) {
+            options = options || {};
+
+            var time = options.time !== undefined ? options.time : this._now();
+            this._record({
                 time: time,
+                endTime: options.endTime,
                 type: 'event',
                 data: data,
-                name: name
+                name: name,
+                category: options.category,
+                profileKey: options.profileKey !== undefined ? keyToString(options.profileKey) : undefined
+            });
+            return time;
+        },
+
+        /**
+         * Records the value of a counter or gauge, such as bytes streamed or heap used. The values
+         * of each counter are shown as a track along the timeline.
+         * @param {String} name
+         * @param {Number} value
+         * @param {Object} data
+         * @param {Object} options Optional; options.time sets the time of the value instead of now.
+         * @return {Number|Array} The time of the value.
+         */
+        counter: function (name, value, data, options) {
+            var time = options && options.time !== undefined ? options.time : this._now();
+            this._record({
+                time: time,
+                type: 'counter',
+                data: data,
+                name: name,
+                value: value
             });
             return time;
         },
 
         clear: function () {
             this._calls = [];
+            // the limits and the strict checks start over with the calls
+            if (this._openProfiles) {
+                this._openProfiles = [];
+            }
+            if (this._aggregates) {
+                this._aggregates = {};
+            }
+            if (this._dropped) {
+                this._dropped = {
+                    profiles: 0,
+                    events: 0,
+                    counters: 0,
+                    aggregated: 0
+                };
+            }
+            if (this._closedProfileKeys) {
+                this._closedProfileKeys = {};
+            }
         },
 
         pause: function () {
             this._originalStart = this._originalStart || this.start;
             this._originalEnd = this._originalEnd || this.end;
             this._originalEvent = this._originalEvent || this.event;
-            this.start = function () {};
+            this._originalCounter = this._originalCounter || this.counter;
+            this.start = function (profileKey, data, options) {
+                // keep returning handles such that they can still be ended
+                return options && options.handle ? new ProfileHandle(this, profileKey) : undefined;
+            };
             this.end = function () {};
             this.event = function () {};
+            this.counter = function () {};
         },
 
         resume: function () {
             this.start = this._originalStart || this.start;
             this.end = this._originalEnd || this.end;
             this.event = this._originalEvent || this.event;
+            this.counter = this._originalCounter || this.counter;
             delete this._originalStart;
             delete this._originalEnd;
             delete this._originalEvent;
+            delete this._originalCounter;
         },
 
         getGui: function () {
             var waterfall = this.waterfall,
                 self = this,
+                normalizeEvent = function (event) {
+                    event.time = self._normalize(event.time);
+                    self.absoluteEndTime = Math.max(self.absoluteEndTime, event.time || 0);
+                    if (event.endTime !== undefined) {
+                        event.endTime = self._normalize(event.endTime);
+                        self.absoluteEndTime = Math.max(self.absoluteEndTime, event.endTime);
+                    }
+                },
                 createRows;
 
             if (waterfall) {
                 return waterfall;
             }
 
+            // in strict mode, misuse is raised before finalizing, such that the waterfall remains usable
+            if (this._strict && this._openProfiles.length > 0) {
+                this._error('End was never called.', this._openProfiles[this._openProfiles.length - 1].profileKey);
+            }
+
             this._disable();
 
+            // any other error was raised when the call was made
+            this._finalizing = true;
             this._processCalls();
+            this._finalizing = false;
 
             self.absoluteEndTime = 0;
 
             waterfall = {
                 headers: this.headers || [],
                 rows: [],
-                units: isBrowser ? 'ms' : 'ns',
+                units: this._units(),
                 events: [],
+                counters: [],
                 summary: {}
             };
 
@@ -520,6 +2531,15 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                 waterfall.headers.unshift('Name');
             }
 
+            // resource usage columns
+            if (this._hasUsage) {
+                Y.Array.each(USAGE_HEADERS, function (header) {
+                    if (waterfall.headers.indexOf(header) === -1) {
+                        waterfall.headers.push(header);
+                    }
+                });
+            }
+
             createRows = function (profile, rows) {
                 var row = profile.data || {},
                     totalTime,
@@ -586,6 +2606,10 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
 
                 row.startTime = profile.startTime;
                 row.endTime = profile.endTime;
+                if (profile.events) {
+                    row.events = profile.events;
+                    Y.Array.each(row.events, normalizeEvent);
+                }
                 if (row.details.length === 0) {
                     delete row.details;
                 }
@@ -596,35 +2620,162 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
             };
 
             // create events
-            Y.Array.each(this.events, function (event) {
-                event.time = self._normalize(event.time);
-                self.absoluteEndTime = Math.max(self.absoluteEndTime, event.time || 0);
-            });
+            Y.Array.each(this.events, normalizeEvent);
             waterfall.events = this.events;
+            if (this.config && this.config.eventCategories) {
+                waterfall.eventCategories = this.config.eventCategories;
+            }
+
+            // create counter tracks, with values sorted by time
+            Y.Array.each(this.counters, function (counter) {
+                Y.Array.each(counter.values, function (value) {
+                    value.time = self._normalize(value.time);
+                    self.absoluteEndTime = Math.max(self.absoluteEndTime, value.time || 0);
+                });
+                counter.values.sort(function (a, b) {
+                    return a.time - b.time;
+                });
+            });
+            waterfall.counters = this.counters;
 
             // create rows
             createRows(this._rootProfile, waterfall.rows);
             // remove top level row, which refers to root of all profiles
-            waterfall.rows = waterfall.rows[0].details;
+            waterfall.rows = waterfall.rows[0].details || [];
 
             // calculate statistics
             waterfall.stats = Waterfall.computeStats(waterfall, this.config);
+            waterfall.criticalPath = Waterfall.computeCriticalPath(waterfall);
+            if (this.config && this.config.budgets) {
+                waterfall.violations = Waterfall.checkBudgets(waterfall, this.config.budgets);
+            }
+
+            this._addLimitsReport(waterfall);
+
+            // add errors with times relative to the start
+            waterfall.errors = [];
+            Y.Array.each(this.errors, function (error) {
+                waterfall.errors.push(Y.merge(error, {
+                    time: self.absoluteStartTime !== undefined ? self._normalize(error.time) : undefined
+                }));
+            });
 
             // add summary
             waterfall.summary = {
                 Timeline: escape('<div style="text-align:right">' +
                                 'Total Execution Time: ' +
-                                Y.mojito.Waterfall.Time.msTimeToString(Waterfall._timeToMs(self.absoluteEndTime), 4) + '</div>')
+                                Y.mojito.Waterfall.Time.msTimeToString(self.absoluteEndTime * (CLOCK_UNITS[waterfall.units] || 1), 4) + '</div>')
             };
-
+
             this.waterfall = waterfall;
-
+
             return waterfall;
         },
 
-        getSummary: function () {
+        /**
+         * @param {Object} options Optional, see Waterfall.getSummary.
+         * @return {String}
+         */
+        getSummary: function (options) {
+            var waterfall = this.getGui();
+            return Waterfall.getSummary(waterfall, options);
+        },
+
+        /**
+         * @param {Number} width Optional, the width of the lines in characters.
+         * @param {Object} options Optional, see Waterfall.getTextWaterfall.
+         * @return {String}
+         */
+        getTextWaterfall: function (width, options) {
             var waterfall = this.getGui();
-            return Waterfall.getSummary(waterfall);
+            return Waterfall.getTextWaterfall(waterfall, width, options);
+        },
+
+        /**
+         * Returns a GUI-format waterfall of the calls made so far without finalizing this waterfall,
+         * such that profiling can continue and later snapshots include the new calls. Profiles that
+         * are still open end now and are marked as in progress.
+         * @return {Object} The waterfall, as returned by getGui.
+         */
+        snapshot: function () {
+            var snapshot = new Waterfall(Y.merge(this.config, {
+                sampleRate: undefined
+            }));
+
+            snapshot._calls = this._calls.slice();
+            snapshot._clock = this._clock;
+            snapshot._snapshotTime = this._now();
+            snapshot._sampled = this._sampled;
+            snapshot._dropped = this._dropped && Y.merge(this._dropped);
+            snapshot._aggregates = this._aggregates;
+
+            return snapshot.getGui();
+        },
+
+        /**
+         * Returns the log of all the calls made to this waterfall, which can be serialized as JSON
+         * and rebuilt with Waterfall.fromCalls, even after the waterfall has been finalized.
+         * The log is of the form {version: 1, units: 'ms', calls: [...]}, where each call is one of:
+         *     {type: 'start', profileKey, time, data, handle, usage}
+         *     {type: 'end', profileKey, time, data, handle, usage}
+         *     {type: 'event', name, time, endTime, category, profileKey, data}
+         *     {type: 'counter', name, value, time, data}
+         * Times are in ms of the waterfall's clock. handle is only present for profiles started with
+         * options.handle, and is an id shared by the start and the end of the profile. usage is only
+         * present if config.usage is enabled.
+         * @return {Object} The call log.
+         */
+        toCalls: function () {
+            var self = this,
+                handles = [],
+                calls = [];
+
+            Y.Array.each(this._calls, function (args) {
+                var call = {
+                    type: args.type,
+                    time: self._clockToMs(args.time)
+                };
+
+                if (args.type === 'event' || args.type === 'counter') {
+                    call.name = args.name;
+                } else {
+                    call.profileKey = args.profileKey;
+                }
+                if (args.type === 'event') {
+                    Y.Object.each({
+                        endTime: args.endTime !== undefined ? self._clockToMs(args.endTime) : undefined,
+                        category: args.category,
+                        profileKey: args.profileKey
+                    }, function (value, property) {
+                        if (value !== undefined) {
+                            call[property] = value;
+                        }
+                    });
+                }
+                if (args.data !== undefined && args.data !== null) {
+                    call.data = args.data;
+                }
+                if (args.type === 'counter') {
+                    call.value = args.value;
+                }
+                if (args.usage) {
+                    call.usage = args.usage;
+                }
+                if (args.handle) {
+                    if (handles.indexOf(args.handle) === -1) {
+                        handles.push(args.handle);
+                    }
+                    call.handle = handles.indexOf(args.handle) + 1;
+                }
+
+                calls.push(call);
+            });
+
+            return {
+                version: CALLS_VERSION,
+                units: 'ms',
+                calls: calls
+            };
         },
 
         _processCalls: function () {
@@ -633,8 +2784,12 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
             }
 
             var self = this,
+                msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
                 i,
                 j,
+                openParent,
+                counters = {},
+                closedProfiles = {},
                 stack = [],
                 rootProfile = new Profile({
                     profiles: ['root']
@@ -646,21 +2801,72 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
             Y.Array.each(this._calls, function (args) {
                 var profile,
                     profileKey,
-                    parent;
-
-                self.absoluteStartTime = self.absoluteStartTime !== undefined ? self.absoluteStartTime : (args.type === 'start' || args.type === 'event' ? args.time : undefined);
+                    event,
+                    parent,
+                    heapDelta,
+                    cpuTime;
+
+                // the waterfall starts at the earliest start, event or counter value, calls with explicit times may be out of order
+                if (args.type !== 'end' &&
+                        (self.absoluteStartTime === undefined || self._clockToMs(args.time) < self._clockToMs(self.absoluteStartTime))) {
+                    self.absoluteStartTime = args.time;
+                }
 
                 if (args.type === 'event') {
-                    self.events.push(Y.mix(args.data || {}, {
+                    // do not modify the data such that the call log stays intact
+                    event = Y.merge(args.data, {
                         type: args.name,
                         time: args.time
+                    });
+                    if (args.endTime !== undefined) {
+                        event.endTime = args.endTime;
+                    }
+                    if (args.category !== undefined) {
+                        event.category = args.category;
+                    }
+                    if (args.profileKey === undefined) {
+                        self.events.push(event);
+                        return;
+                    }
+
+                    // attach the event to the open profile with the key, or else the last one ended
+                    profileKey = String(args.profileKey).trim();
+                    profileKey = PROFILE_KEY_REGEX.test(profileKey) ? new ProfileKey(profileKey).toString() : profileKey;
+                    for (i = stack.length - 1; i > 0; i--) {
+                        if (stack[i].profileKey.toString() === profileKey) {
+                            profile = stack[i];
+                            break;
+                        }
+                    }
+                    profile = profile || closedProfiles[profileKey];
+                    if (profile) {
+                        profile.profile.events = profile.profile.events || [];
+                        profile.profile.events.push(event);
+                    } else {
+                        self._error('Profile of the event was never started.', args.profileKey, args);
+                        self.events.push(event);
+                    }
+                    return;
+                }
+
+                if (args.type === 'counter') {
+                    if (!counters[args.name]) {
+                        counters[args.name] = {
+                            name: args.name,
+                            values: []
+                        };
+                        self.counters.push(counters[args.name]);
+                    }
+                    counters[args.name].values.push(Y.merge(args.data, {
+                        time: args.time,
+                        value: args.value
                     }));
                     return;
                 }
 
                 args.profileKey = (args.profileKey || '').trim();
                 if (!args.profileKey || !PROFILE_KEY_REGEX.test(args.profileKey)) {
-                    self._error("Invalid profile.", args.profileKey);
+                    self._error("Invalid profile.", args.profileKey, args);
                     return;
                 }
 
@@ -673,11 +2879,15 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                         startTime: args.time,
                         data: args.data
                     });
+                    profile.handle = args.handle;
+                    profile.call = args;
+                    profile.usage = args.usage;
                     stack.push(profile);
                 } else {
-                    // if end, find the profile starting from the top of the stack
+                    // if end, find the profile starting from the top of the stack,
+                    // if the profile was ended through a handle only the profile started with that handle matches
                     for (i = stack.length - 1; i > 0; i--) {
-                        if (stack[i].profileKey.toString() === profileKey.toString()) {
+                        if (args.handle ? stack[i].handle === args.handle : stack[i].profileKey.toString() === profileKey.toString()) {
                             profile = stack[i];
                             break;
                         }
@@ -689,7 +2899,26 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                             data: args.data
                         });
 
+                        // durations are part of another profile, which has its own usage
+                        // the columns are formatted like the stats, the numbers are kept for the stats
+                        if (profile.usage && args.usage && !profileKey.duration) {
+                            heapDelta = args.usage.heap - profile.usage.heap;
+                            cpuTime = (args.usage.cpu - profile.usage.cpu) / 1000;
+                            profile.set({
+                                data: {
+                                    'Heap Delta': bytesToString(heapDelta),
+                                    'CPU Time': msTimeToString(cpuTime, 4),
+                                    usage: {
+                                        heapDelta: heapDelta,
+                                        cpuTime: cpuTime
+                                    }
+                                }
+                            });
+                            self._hasUsage = true;
+                        }
+
                         profile.closed = true;
+                        closedProfiles[profileKey.toString()] = profile;
                         stack.splice(i, 1);
 
                         // leave this root profile in order to maintain start order
@@ -702,11 +2931,28 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
                         // add closed profile to its parent
                         parent.add(profile);
                     } else {
-                        self._error('Start was never called.', profileKey);
+                        self._error('Start was never called.', profileKey, args);
                     }
                 }
             });
 
+            // a snapshot shows the profiles that are still open as in progress until now,
+            // they are ended starting from the top of the stack such that children are added first
+            if (this._snapshotTime !== undefined) {
+                for (i = stack.length - 1; i > 0; i--) {
+                    stack[i].set({
+                        endTime: this._snapshotTime,
+                        data: {
+                            inProgress: true
+                        }
+                    });
+                    stack[i].closed = true;
+                    openParent = stack[i].profileKey.root ? stack[0] : stack[i - 1];
+                    openParent.add(stack[i]);
+                }
+                stack = [rootProfile];
+            }
+
             // add remaining profiles to the rootProfile
             Y.Array.each(stack, function (profile, index) {
                 if (index === 0) {
@@ -715,11 +2961,12 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
 
                 // if profile is not closed then report error
                 if (!profile.closed) {
-                    self._error('End was never called.', profile.profileKey);
+                    self._error('End was never called.', profile.profileKey, profile.call);
                     // add children profiles directly to root
                     Y.Object.each(profile.children, function (childArray) {
                         Y.Array.each(childArray, function (childProfile) {
                             if (childProfile.closed) {
+                                childProfile.data.warning = 'End of \'' + profile.profileKey + '\' was never called.';
                                 rootProfile.add(childProfile);
                             }
                         });
@@ -730,17 +2977,337 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
             this._rootProfile = rootProfile;
         },
 
-        _error: function (message, profileKeyStr) {
+        /**
+         * Applies the limits and sample rate of the config.
+         */
+        _applyConfig: function () {
+            var config = this.config || {},
+                limits = config.limits;
+
+            if (limits && limits.maxCalls !== undefined) {
+                this._limits = Y.merge({
+                    overflow: 'drop-new'
+                }, limits);
+                if (OVERFLOW_POLICIES.indexOf(this._limits.overflow) === -1) {
+                    Y.log('Unknown overflow policy "' + this._limits.overflow + '", using "drop-new".', 'warn', NAME);
+                    this._limits.overflow = 'drop-new';
+                }
+                this._openProfiles = this._openProfiles || [];
+                this._aggregates = this._aggregates || {};
+                this._dropped = this._dropped || {
+                    profiles: 0,
+                    events: 0,
+                    counters: 0,
+                    aggregated: 0
+                };
+            } else {
+                this._limits = null;
+            }
+
+            if (config.clock) {
+                this._clock = createClock(config.clock) || this._clock;
+            }
+            this._clock = this._clock || Waterfall._clock;
+
+            this._strict = !!config.strict;
+            this._stacks = !!config.stacks;
+            this._usage = !!config.usage && !isBrowser;
+            if (this._strict && !this._openProfiles) {
+                this._openProfiles = [];
+            }
+            if (this._strict && !this._closedProfileKeys) {
+                this._closedProfileKeys = {};
+            }
+
+            // the sampling decision is only made once per waterfall
+            if (config.sampleRate !== undefined && this._sampled === undefined) {
+                this._sampled = Math.random() < config.sampleRate;
+                if (!this._sampled) {
+                    this.pause();
+                    this.resume = function () {};
+                }
+            }
+        },
+
+        /**
+         * Records a call, unless it is dropped or aggregated because of the limits.
+         * @param {Object} call
+         */
+        _record: function (call) {
+            if (this._stacks && call.type !== 'event') {
+                call.stack = getCallSite();
+            }
+            if (this._strict && (call.type === 'start' || call.type === 'end') && !call.handle &&
+                    !PROFILE_KEY_REGEX.test(String(call.profileKey || '').trim())) {
+                this._error('Invalid profile.', call.profileKey, call);
+            }
+            if (!this._openProfiles || this._track(call)) {
+                this._calls.push(call);
+            }
+        },
+
+        /**
+         * Keeps track of the open profiles in order to apply the overflow policy once the
+         * maximum number of calls is reached, and to report ends without a start in strict mode.
+         * @param {Object} call
+         * @return {Boolean} Whether the call should be recorded.
+         */
+        _track: function (call) {
+            var limits = this._limits,
+                openProfiles = this._openProfiles,
+                full = !!limits && this._calls.length >= limits.maxCalls,
+                profileKey = String(call.profileKey || '').trim(),
+                isRoot = profileKey.indexOf('/') === 0,
+                // escaped separators are part of the names, and equivalent keys are matched the same way
+                key = PROFILE_KEY_REGEX.test(profileKey) ? new ProfileKey(profileKey) : null,
+                parent = openProfiles[openProfiles.length - 1],
+                openProfile,
+                aggregate,
+                duration,
+                started,
+                i;
+
+            // events can be attached to open profiles and to profiles that already ended
+            if (call.type === 'event' && this._strict && call.profileKey !== undefined) {
+                started = Object.prototype.hasOwnProperty.call(this._closedProfileKeys, profileKey) ||
+                    Y.Array.some(openProfiles, function (openProfile) {
+                        return openProfile.profileKey === profileKey;
+                    });
+                if (!started) {
+                    this._error('Profile of the event was never started.', call.profileKey, call);
+                }
+            }
+
+            if (call.type === 'event' || call.type === 'counter') {
+                if (full) {
+                    this._dropped[call.type === 'event' ? 'events' : 'counters']++;
+                }
+                return !full;
+            }
+
+            if (key) {
+                profileKey = key.toString();
+            }
+
+            if (call.type === 'start') {
+                openProfile = {
+                    profileKey: profileKey,
+                    handle: call.handle,
+                    path: (isRoot || !parent ? '' : parent.path) + '/' + profileKey.replace(/^\/+/, ''),
+                    depth: (isRoot || !parent ? 0 : parent.depth) + (key ? key.profiles.length : 1),
+                    recorded: true
+                };
+
+                if (full && limits.overflow === 'aggregate') {
+                    aggregate = this._aggregates[openProfile.path] = this._aggregates[openProfile.path] || {
+                        calls: 0,
+                        duration: 0
+                    };
+                    openProfile.aggregate = aggregate;
+                    openProfile.startTime = call.time;
+                    openProfile.recorded = false;
+                } else if (full && (limits.overflow === 'drop-new' || openProfile.depth > (limits.maxDepth || 0))) {
+                    this._dropped.profiles++;
+                    openProfile.recorded = false;
+                }
+
+                openProfiles.push(openProfile);
+                return openProfile.recorded;
+            }
+
+            // find the matching profile the same way _processCalls does
+            for (i = openProfiles.length - 1; i >= 0; i--) {
+                if (call.handle ? openProfiles[i].handle === call.handle : openProfiles[i].profileKey === profileKey) {
+                    openProfile = openProfiles.splice(i, 1)[0];
+                    break;
+                }
+            }
+
+            if (this._strict) {
+                this._closedProfileKeys[profileKey] = true;
+            }
+
+            // ends of profiles started before the limits were configured are always recorded
+            if (!openProfile) {
+                if (this._strict) {
+                    this._error('Start was never called.', profileKey, call);
+                }
+                return true;
+            }
+
+            if (openProfile.aggregate) {
+                aggregate = openProfile.aggregate;
+                duration = this._clockToMs(call.time) - this._clockToMs(openProfile.startTime);
+                aggregate.calls++;
+                aggregate.duration += duration;
+                aggregate.min = aggregate.min === undefined ? duration : Math.min(aggregate.min, duration);
+                aggregate.max = aggregate.max === undefined ? duration : Math.max(aggregate.max, duration);
+                this._dropped.aggregated++;
+            }
+
+            return openProfile.recorded;
+        },
+
+        /**
+         * Adds the stats-only entries of aggregated profiles to the stats of a GUI-format waterfall
+         * and reports what was dropped because of the limits or sampling.
+         * @param {Object} waterfall
+         */
+        _addLimitsReport: function (waterfall) {
+            var msTimeToString = Y.mojito.Waterfall.Time.msTimeToString,
+                columns,
+                aggregates = 0;
+
+            // use the same columns as the other stats, which may include resource usage
+            Y.Object.some(waterfall.stats, function (stat) {
+                if (Y.Lang.isObject(stat)) {
+                    columns = Y.Object.keys(stat);
+                    columns.splice(columns.indexOf('summary'), 1);
+                    return true;
+                }
+            });
+            columns = columns || getStatsColumns(this.config && this.config.stats && this.config.stats.columns);
+
+            if (this._sampled === false) {
+                waterfall.sampled = false;
+            }
+
+            if (!this._dropped) {
+                return;
+            }
+
+            // stats-only entries have no individual samples, so distribution columns are unknown
+            Y.Object.each(this._aggregates, function (aggregate, path) {
+                var name = path + ' (aggregated)',
+                    values = {
+                        'Name': name,
+                        'Calls': aggregate.calls,
+                        'Total Duration': msTimeToString(aggregate.duration, 4),
+                        'Avg Duration': msTimeToString(aggregate.duration / aggregate.calls, 4),
+                        'Min Duration': msTimeToString(aggregate.min, 4),
+                        'Max Duration': msTimeToString(aggregate.max, 4)
+                    },
+                    stat = {};
+
+                if (!aggregate.calls) {
+                    return;
+                }
+                aggregates++;
+                Y.Array.each(columns, function (column) {
+                    stat[column] = values[column] !== undefined ? values[column] : '-';
+                });
+                stat.summary = [];
+                setSummaryValues(stat, {
+                    calls: aggregate.calls,
+                    totalMs: aggregate.duration,
+                    avgMs: aggregate.duration / aggregate.calls,
+                    durationsMs: []
+                });
+                waterfall.stats[name] = stat;
+            });
+
+            if (this._dropped.profiles || this._dropped.events || this._dropped.counters || this._dropped.aggregated) {
+                waterfall.dropped = Y.merge(this._dropped, {
+                    aggregates: aggregates,
+                    maxCalls: this._limits.maxCalls,
+                    overflow: this._limits.overflow
+                });
+            }
+        },
+
+        /**
+         * Reports a profiling error, which is added to the errors of this waterfall, and
+         * thrown in strict mode.
+         * @param {String} message
+         * @param {String|ProfileKey} profileKeyStr
+         * @param {Object} call Optional, the call that caused the error.
+         */
+        _error: function (message, profileKeyStr, call) {
+            var error,
+                strict = this._strict && !this._finalizing;
+
+            profileKeyStr = profileKeyStr === undefined ? '' : String(profileKeyStr);
+
+            if (strict) {
+                error = new Error('Error when profiling \'' + profileKeyStr + '\': ' + message);
+                error.profileKey = profileKeyStr;
+            }
+
+            this.errors.push({
+                key: profileKeyStr,
+                message: message,
+                time: call ? call.time : this._now(),
+                // strict errors are raised at the call site, which is known even if stacks are not recorded
+                stack: (call && call.stack) || (error && String(error.stack).split('\n').slice(1).join('\n'))
+            });
             Y.log('Error when profiling \'' + profileKeyStr + '\': ' + message, 'error', NAME);
+
+            if (strict) {
+                throw error;
+            }
+        },
+
+        /**
+         * Returns the current time of this waterfall's clock.
+         * @return {Number|Array}
+         */
+        _now: function () {
+            var time = this._clock.now();
+            if (this._clock.bigint === undefined) {
+                this._clock.bigint = typeof time === 'bigint';
+            }
+            return time;
+        },
+
+        /**
+         * Converts a time of this waterfall's clock to ms.
+         * @param {Number|Array} time
+         * @return {Number}
+         */
+        _clockToMs: function (time) {
+            return this._clock.units === 'hrtime' ? time[0] * 1e3 + time[1] / 1e6 : Number(time) * CLOCK_UNITS[this._clock.units];
+        },
+
+        /**
+         * Converts ms to a time of this waterfall's clock.
+         * @param {Number} ms
+         * @return {Number|Array}
+         */
+        _msToClock: function (ms) {
+            var s = Math.floor(ms / 1e3),
+                time = ms / CLOCK_UNITS[this._clock.units];
+
+            if (this._clock.units === 'hrtime') {
+                return [s, Math.round((ms - s * 1e3) * 1e6)];
+            }
+            // times replayed before profiling need to know whether the clock returns BigInts
+            if (this._clock.bigint === undefined) {
+                this._now();
+            }
+            return this._clock.bigint ? BigInt(Math.round(time)) : time;
+        },
+
+        /**
+         * The units of normalized times, hrtime clocks are normalized to ns.
+         * @return {String}
+         */
+        _units: function () {
+            return this._clock.units === 'hrtime' ? 'ns' : this._clock.units;
         },
 
+        /**
+         * Converts a time of this waterfall's clock into a number of units relative to the
+         * start of the waterfall.
+         * @param {Number|Array} time
+         * @return {Number}
+         */
         _normalize: function (time) {
-            if (!time) {
+            if (time === undefined || time === null) {
                 return undefined;
             }
 
-            if (isBrowser) {
-                return time - this.absoluteStartTime;
+            if (this._clock.units !== 'hrtime') {
+                return Number(time - this.absoluteStartTime);
             }
 
             var ns = time[1] - this.absoluteStartTime[1],
@@ -752,7 +3319,7 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
             var disabled = function () {
                 this._error('Cannot continue profiling after the waterfall has been finalized.');
             };
-            this.configure = this.start = this.end = this.event = this.clear = this.pause = this.resume = disabled;
+            this.configure = this.start = this.end = this.event = this.counter = this.clear = this.pause = this.resume = disabled;
         }
     };
 
@@ -761,6 +3328,7 @@ YUI.add('mojito-waterfall', function (Y, NAME) {
 
 }, '0.1.0', {
     requires: [
-        'mojito-waterfall-time'
+        'mojito-waterfall-time',
+        'mojito-waterfall-expression'
     ]
 });